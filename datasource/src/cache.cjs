@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { cleanQuery } = require('@evidence-dev/db-commons');
+const {
+	resolveStateDirectory,
+	stateKey,
+	readState,
+	writeState,
+	snapshotPath,
+	readSnapshot,
+	createSnapshotWriter
+} = require('./state.cjs');
+const { stableStringify } = require('./pools.cjs');
+
+const CACHE_VERSION = 1;
+
+/** Seconds a cached result is used for when neither a TTL nor a probe is set */
+const DEFAULT_TTL = 3600;
+
+/**
+ * Options that change which rows a query returns or how their values are formatted. Secrets are
+ * left out: a rotated password returns the same rows. The identities of the Entra and Windows
+ * authentication types are kept, as row-level security may show them different rows.
+ */
+const CACHE_KEY_OPTIONS = [
+	'server',
+	'database',
+	'connection_port',
+	'authenticationType',
+	'user',
+	'ntlmdomain',
+	'ntlmuser',
+	'pwuname',
+	'spclientid',
+	'spcertclientid',
+	'wiclientid',
+	'msivmclientid',
+	'msiappclientid',
+	'time_format',
+	'binary_format',
+	'spatial_format',
+	'bigint_format',
+	'datetimeoffset_format',
+	'column_names',
+	'parameters'
+];
+
+/**
+ * @typedef {Object} QueryCache
+ * @property {() => Promise<import('@evidence-dev/db-commons').QueryResult | null>} read
+ *   The cached result if it is still fresh, otherwise null
+ * @property {(result: import('@evidence-dev/db-commons').QueryResult) => import('@evidence-dev/db-commons').QueryResult} write
+ *   Wrap a result so its rows are saved as they are read; the entry is only replaced once every row has been read
+ * @property {() => Promise<void>} forget - Remove the entry
+ */
+
+/**
+ * Whether a source has asked for query results to be cached
+ * @param {Record<string, any>} opts
+ * @returns {boolean}
+ */
+const isCacheEnabled = (opts) => opts.cache === true || opts.cache === 'true';
+
+/**
+ * Local cache for the results of a query, so a build can skip a query whose SQL, options and
+ * data have not changed without connecting to the server at all.
+ *
+ * A cached result is used for `cache_ttl` seconds (the `-- @cache_ttl` directive, the option of
+ * the same name, or an hour). With a `-- @cache_probe` query it is then used for as long as the
+ * probe returns the same value, which costs a connection but not the query itself. A probe
+ * without a TTL is run on every build.
+ *
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {string} queryString
+ * @param {string} name - Evidence table name
+ * @param {Record<string, any>} database
+ * @param {number} batchSize
+ * @param {Record<string, string | undefined>} directives
+ * @returns {QueryCache | null} null when caching is off for the source
+ */
+const createQueryCache = (runQuery, queryString, name, database, batchSize, directives) => {
+	if (!isCacheEnabled(database)) return null;
+
+	const probe = directives.cache_probe;
+	const ttlSetting = directives.cache_ttl ?? database.cache_ttl ?? (probe ? 0 : DEFAULT_TTL);
+	const ttl = Number(ttlSetting);
+	if (!Number.isFinite(ttl) || ttl < 0) {
+		throw new Error(`Invalid cache_ttl "${ttlSetting}" for ${name}, expected a number of seconds`);
+	}
+
+	const directory = path.join(resolveStateDirectory(database), 'cache');
+	const key = stateKey(database, name);
+	const snapshot = snapshotPath(directory, key);
+	const options = Object.fromEntries(CACHE_KEY_OPTIONS.map((option) => [option, database[option]]));
+	const hash = crypto
+		.createHash('sha256')
+		.update(stableStringify({ query: cleanQuery(queryString), options, probe }))
+		.digest('hex');
+
+	/** @type {string | null | undefined} undefined until the probe has run */
+	let probed;
+	const runProbe = async () => {
+		if (!probe || probed !== undefined) return probed ?? null;
+		try {
+			// The probe only needs its first value, there's no point counting its rows
+			const result = await runQuery(probe, { ...database, row_count: 'off' }, batchSize, { source: { query: probe } });
+			probed = null;
+			for await (const batch of result.rows()) {
+				if (probed === null && batch.length) probed = JSON.stringify(Object.values(batch[0]));
+			}
+		} catch (err) {
+			console.warn(`${name}: cache probe failed, running the query: ${err.message}`);
+			probed = null;
+		}
+		return probed;
+	};
+
+	const forget = async () => {
+		await fs.promises.rm(path.join(directory, `${key}.json`), { force: true });
+		await fs.promises.rm(snapshot, { force: true });
+	};
+
+	return {
+		read: async () => {
+			if (database.full_refresh === true || database.full_refresh === 'true') return null;
+			const entry = await readState(directory, key);
+			if (!entry || entry.version !== CACHE_VERSION || entry.key !== hash || !fs.existsSync(snapshot)) {
+				await runProbe();
+				return null;
+			}
+
+			if (Date.now() - Date.parse(entry.createdAt) >= ttl * 1000) {
+				const value = await runProbe();
+				if (!probe || value === null || value !== entry.probe) return null;
+				// Unchanged, so trust it for another TTL before probing again
+				await writeState(directory, key, { ...entry, createdAt: new Date().toISOString() });
+			}
+
+			console.log(`${name}: using results cached at ${entry.createdAt}`);
+			return {
+				columnTypes: entry.columnTypes,
+				expectedRowCount: entry.rowCount,
+				rows: async function* () {
+					let batch = [];
+					for await (const row of readSnapshot(snapshot)) {
+						batch.push(row);
+						if (batch.length >= batchSize) {
+							yield batch;
+							batch = [];
+						}
+					}
+					if (batch.length) yield batch;
+				}
+			};
+		},
+
+		write: (result) => {
+			const createdAt = new Date().toISOString();
+			return {
+				...result,
+				rows: async function* () {
+					const writer = await createSnapshotWriter(snapshot);
+					let rowCount = 0;
+					let committed = false;
+					try {
+						for await (const batch of result.rows()) {
+							for (const row of batch) await writer.write(row);
+							rowCount += batch.length;
+							yield batch;
+						}
+						// Never leave the old entry pointing at the new rows
+						await fs.promises.rm(path.join(directory, `${key}.json`), { force: true });
+						await writer.commit();
+						committed = true;
+						await writeState(directory, key, {
+							version: CACHE_VERSION,
+							name,
+							key: hash,
+							createdAt,
+							probe: probed ?? null,
+							columnTypes: result.columnTypes,
+							rowCount
+						});
+					} finally {
+						// Keep the previous entry if the rows were not all read
+						if (!committed) await writer.abort();
+					}
+				}
+			};
+		},
+
+		forget
+	};
+};
+
+module.exports = {
+	createQueryCache
+};
@@ -0,0 +1,169 @@
+/** Signals that cancel every running query before the process ends */
+const SIGNALS = ['SIGINT', 'SIGTERM'];
+
+/** Milliseconds to wait for cancelled queries to stop before passing a signal on */
+const SIGNAL_GRACE_PERIOD = 2000;
+
+/** Where a source's time budget is kept on its options, like the query limiter */
+const BUDGET = Symbol('timeBudget');
+
+/**
+ * @typedef {Object} RunningQuery
+ * @property {(reason: string) => void} cancel - Stop the query on the server, failing it with `reason`
+ * @property {Promise<unknown>} finished - Settles once the request has ended
+ */
+
+/**
+ * @typedef {Object} TimeBudget
+ * @property {number} seconds
+ * @property {number} deadline - Time the budget runs out, in ms since the epoch
+ * @property {Set<RunningQuery>} queries - Running queries of the source
+ * @property {NodeJS.Timeout | null} timer
+ */
+
+/** @type {Set<RunningQuery>} every running query, whatever its source */
+const running = new Set();
+
+/** @type {Map<string, () => void>} */
+const signalHandlers = new Map();
+
+/**
+ * Cancel every running query, then let the signal end the process as it would have if nothing
+ * had been listening. A handler of Evidence's own is left to decide instead.
+ * @param {NodeJS.Signals} signal
+ */
+const cancelOnSignal = async (signal) => {
+	removeSignalHandlers();
+	const queries = [...running];
+	console.warn(`${signal} received, cancelling ${queries.length} running ${queries.length === 1 ? 'query' : 'queries'}`);
+	for (const query of queries) query.cancel(`Cancelled by ${signal}`);
+	await Promise.race([
+		Promise.allSettled(queries.map((query) => query.finished)),
+		new Promise((resolve) => setTimeout(resolve, SIGNAL_GRACE_PERIOD))
+	]);
+	if (process.listenerCount(signal) === 0) process.kill(process.pid, signal);
+};
+
+// Only listened for while queries run, so an idle process still stops on the first Ctrl+C
+const addSignalHandlers = () => {
+	for (const signal of SIGNALS) {
+		const handler = () => cancelOnSignal(/** @type {NodeJS.Signals} */ (signal));
+		signalHandlers.set(signal, handler);
+		process.once(signal, handler);
+	}
+};
+
+const removeSignalHandlers = () => {
+	for (const [signal, handler] of signalHandlers) process.removeListener(signal, handler);
+	signalHandlers.clear();
+};
+
+/**
+ * @param {TimeBudget} budget
+ * @returns {string}
+ */
+const budgetExceeded = (budget) => `The source's time_budget of ${budget.seconds}s ran out`;
+
+/**
+ * Give a source's options a time budget, counted from now, when they set `time_budget`
+ * @template {Record<string, any>} T
+ * @param {T} opts
+ * @returns {T}
+ */
+const withTimeBudget = (opts) => {
+	const value = opts.time_budget;
+	if (value === undefined || value === null || value === '') return opts;
+	const seconds = Number(value);
+	if (!Number.isFinite(seconds) || seconds <= 0) {
+		throw new Error(`Invalid time_budget "${value}", expected a number of seconds`);
+	}
+	/** @type {TimeBudget} */
+	const budget = { seconds, deadline: Date.now() + seconds * 1000, queries: new Set(), timer: null };
+	return { ...opts, [BUDGET]: budget };
+};
+
+/**
+ * Refuse to start a query once its source's time budget has run out
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} description - What would have been run, e.g. the query file
+ */
+const assertWithinBudget = (opts, description) => {
+	/** @type {TimeBudget | undefined} */
+	const budget = opts[BUDGET];
+	if (budget && Date.now() >= budget.deadline) {
+		throw new Error(`${budgetExceeded(budget)} before ${description} started`);
+	}
+};
+
+/**
+ * Keep track of a query while it runs, so it is cancelled by SIGINT, SIGTERM or the end of its
+ * source's time budget
+ * @param {Record<string | symbol, any>} opts
+ * @param {RunningQuery} query
+ */
+const trackQuery = (opts, query) => {
+	/** @type {TimeBudget | undefined} */
+	const budget = opts[BUDGET];
+	if (!running.size) addSignalHandlers();
+	running.add(query);
+	if (budget) {
+		budget.queries.add(query);
+		if (!budget.timer) {
+			budget.timer = setTimeout(() => {
+				for (const runningQuery of budget.queries) runningQuery.cancel(`${budgetExceeded(budget)}, so the query was cancelled`);
+			}, Math.max(0, budget.deadline - Date.now()));
+			budget.timer.unref();
+		}
+	}
+	query.finished
+		.catch(() => {})
+		.then(() => {
+			running.delete(query);
+			budget?.queries.delete(query);
+			if (!running.size) removeSignalHandlers();
+		});
+};
+
+/**
+ * Send a request that goes with a query rather than being one, such as its row count or the list
+ * of tables to extract, so that it is cancelled the same way
+ * @template T
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} description - What the request is for, e.g. `the row count of orders.sql`
+ * @param {import('mssql').Request} request
+ * @param {(request: import('mssql').Request) => Promise<T>} send
+ * @returns {Promise<T>}
+ */
+const sendTracked = async (opts, description, request, send) => {
+	assertWithinBudget(opts, description);
+	/** @type {string | null} */
+	let cancelReason = null;
+	const finished = send(request);
+	trackQuery(opts, {
+		cancel: (reason) => {
+			cancelReason ??= reason;
+			request.cancel();
+		},
+		finished
+	});
+	try {
+		return await finished;
+	} catch (err) {
+		throw cancelReason ? new Error(`${cancelReason} (${description})`, { cause: err }) : err;
+	}
+};
+
+/**
+ * Whether a request failed because it was cancelled, rather than for a reason worth reporting
+ * @param {any} err
+ * @returns {boolean}
+ */
+const isCancelled = (err) => (err?.cause ?? err)?.code === 'ECANCEL';
+
+module.exports = {
+	withTimeBudget,
+	assertWithinBudget,
+	trackQuery,
+	sendTracked,
+	isCancelled
+};
@@ -0,0 +1,382 @@
+const crypto = require('crypto');
+const { cleanQuery, exhaustStream } = require('@evidence-dev/db-commons');
+const mssql = require('mssql');
+const {
+	resolveStateDirectory,
+	stateKey,
+	readState,
+	writeState,
+	snapshotPath,
+	readSnapshot,
+	createSnapshotWriter
+} = require('./state.cjs');
+const { parseQualifiedName, quoteIdentifier } = require('./tables.cjs');
+const { isSafeToWrap } = require('./row-count.cjs');
+const { findColumn } = require('./columns.cjs');
+
+const STATE_VERSION = 1;
+
+/**
+ * @typedef {Object} ChangeSpec
+ * @property {string} name - Evidence table name, identifies the saved state
+ * @property {'change_tracking' | 'cdc'} mode
+ * @property {string} target - The tracked table for change tracking, the capture instance for CDC
+ * @property {string} [uniqueKey] - Comma separated key columns, for a capture instance without a unique index
+ * @property {{ path?: string, query?: string }} [source] - The query file, to point errors at it
+ */
+
+/**
+ * @typedef {Object} ChangeTracker
+ * @property {string} description - e.g. `change tracking on [sales].[orders]`
+ * @property {() => Promise<{ current: string, oldest: string }>} position
+ *   The position changes have been recorded up to, and the oldest one changes are still kept from
+ * @property {() => Promise<string[]>} keys - Columns identifying a row of the tracked table
+ * @property {(from: string, to: string, keys: string[]) => { query: string, inputs: import('./parameters.cjs').BoundParameter[] }} changedKeys
+ *   SQL for the keys of the rows changed after `from`, up to `to` or later, as `__change_key_<n>`
+ * @property {(a: string, b: string) => number} compare
+ */
+
+/**
+ * Read every row of a small metadata query as lists of values, with bigints as strings and
+ * binary as hex whatever the source's formats
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {string} query
+ * @param {Record<string, any>} database
+ * @param {import('./parameters.cjs').BoundParameter[]} inputs
+ * @returns {Promise<unknown[][]>}
+ */
+const readValues = async (runQuery, query, database, inputs) => {
+	const result = await runQuery(query, { ...database, row_count: 'off', bigint_format: 'string', binary_format: 'hex', datetimeoffset_format: 'utc' }, 1000, {
+		inputs
+	});
+	/** @type {unknown[][]} */
+	const rows = [];
+	for await (const batch of result.rows()) {
+		for (const row of batch) rows.push(Object.values(row));
+	}
+	return rows;
+};
+
+/**
+ * @param {string} table - `schema.table`, as given to @change_tracking
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {Record<string, any>} database
+ * @returns {ChangeTracker}
+ */
+const changeTrackingTracker = (table, runQuery, database) => {
+	const { schema, table: tableName } = parseQualifiedName(table);
+	const quoted = `${quoteIdentifier(schema)}.${quoteIdentifier(tableName)}`;
+	const inputs = [{ name: 'table', type: mssql.NVarChar(mssql.MAX), value: quoted }];
+	return {
+		description: `change tracking on ${quoted}`,
+		position: async () => {
+			const [[objectId, current, oldest]] = await readValues(
+				runQuery,
+				'SELECT OBJECT_ID(@table) AS object_id, CHANGE_TRACKING_CURRENT_VERSION() AS current_version, CHANGE_TRACKING_MIN_VALID_VERSION(OBJECT_ID(@table)) AS min_valid_version',
+				database,
+				inputs
+			);
+			if (objectId === null) throw new Error(`Table ${quoted} does not exist, or the login can't see it`);
+			if (current === null) throw new Error(`Change tracking is not enabled in ${database.database ?? 'the database'}`);
+			if (oldest === null) {
+				throw new Error(`Change tracking is not enabled on ${quoted}; run ALTER TABLE ${quoted} ENABLE CHANGE_TRACKING`);
+			}
+			return { current: String(current), oldest: String(oldest) };
+		},
+		keys: async () => {
+			// Change tracking needs a primary key, and CHANGETABLE returns its columns
+			const rows = await readValues(
+				runQuery,
+				`SELECT c.name
+				FROM sys.indexes i
+				JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+				JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+				WHERE i.object_id = OBJECT_ID(@table) AND i.is_primary_key = 1
+				ORDER BY ic.key_ordinal`,
+				database,
+				inputs
+			);
+			return rows.map(([name]) => String(name));
+		},
+		changedKeys: (from, to, keys) => ({
+			query: `SELECT ${keys.map((key, index) => `${quoteIdentifier(key)} AS [__change_key_${index + 1}]`).join(', ')} FROM CHANGETABLE(CHANGES ${quoted}, @changes_from) AS change_table`,
+			inputs: [{ name: 'changes_from', type: mssql.BigInt(), value: from }]
+		}),
+		compare: (a, b) => {
+			const diff = BigInt(a) - BigInt(b);
+			return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+		}
+	};
+};
+
+/**
+ * @param {string} instance - Capture instance, as given to @cdc
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {Record<string, any>} database
+ * @param {string | undefined} uniqueKey
+ * @returns {ChangeTracker}
+ */
+const cdcTracker = (instance, runQuery, database, uniqueKey) => {
+	const inputs = [{ name: 'instance', type: mssql.NVarChar(mssql.MAX), value: instance }];
+	return {
+		description: `change data capture instance ${instance}`,
+		position: async () => {
+			const [[current, oldest]] = await readValues(
+				runQuery,
+				'SELECT sys.fn_cdc_get_max_lsn() AS max_lsn, sys.fn_cdc_get_min_lsn(@instance) AS min_lsn',
+				database,
+				inputs
+			);
+			if (oldest === null || /^0*$/.test(String(oldest))) {
+				throw new Error(`Capture instance ${instance} does not exist, or the login can't read its changes`);
+			}
+			if (current === null) throw new Error(`Change data capture has not recorded any changes in ${database.database ?? 'the database'} yet`);
+			return { current: String(current), oldest: String(oldest) };
+		},
+		keys: async () => {
+			const rows = await readValues(
+				runQuery,
+				`SELECT ic.column_name
+				FROM cdc.index_columns ic
+				JOIN cdc.change_tables ct ON ct.object_id = ic.object_id
+				WHERE ct.capture_instance = @instance
+				ORDER BY ic.index_ordinal`,
+				database,
+				inputs
+			);
+			if (rows.length) return rows.map(([name]) => String(name));
+			return (uniqueKey ?? '')
+				.split(',')
+				.map((column) => column.trim())
+				.filter(Boolean);
+		},
+		changedKeys: (from, to, keys) => ({
+			// Every change in the range, but each changed row only once: its current version is read from the query
+			query: `SELECT DISTINCT ${keys.map((key, index) => `${quoteIdentifier(key)} AS [__change_key_${index + 1}]`).join(', ')} FROM cdc.${quoteIdentifier(`fn_cdc_get_all_changes_${instance}`)}(sys.fn_cdc_increment_lsn(@changes_from), @changes_to, N'all')`,
+			inputs: [
+				{ name: 'changes_from', type: mssql.Binary(10), value: Buffer.from(from, 'hex') },
+				{ name: 'changes_to', type: mssql.Binary(10), value: Buffer.from(to, 'hex') }
+			]
+		}),
+		// LSNs are fixed length, so their hex compares as they do
+		compare: (a, b) => (a.toLowerCase() > b.toLowerCase() ? 1 : a.toLowerCase() < b.toLowerCase() ? -1 : 0)
+	};
+};
+
+/**
+ * Run a query whose rows come from a table with Change Tracking or CDC. The first build extracts
+ * every row and saves the position the changes were recorded up to; later builds only read the
+ * keys changed since then and apply them to the saved rows. A changed row is read again through
+ * the query, so filters and computed columns still apply: one it no longer returns is deleted.
+ *
+ * Every row is extracted again when the saved position is older than the changes still kept,
+ * the query or its columns change, or the `full_refresh` option is set.
+ *
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {string} queryString
+ * @param {Record<string, any>} database
+ * @param {number} batchSize
+ * @param {ChangeSpec} spec
+ * @returns {Promise<import('@evidence-dev/db-commons').QueryResult>}
+ */
+const runChangeQuery = async (runQuery, queryString, database, batchSize, spec) => {
+	const directive = spec.mode === 'cdc' ? '@cdc' : '@change_tracking';
+	if (!spec.target) {
+		throw new Error(`${spec.name}: ${directive} needs ${spec.mode === 'cdc' ? 'the capture instance to read' : 'the table whose changes are tracked'}`);
+	}
+	if (!isSafeToWrap(queryString)) {
+		throw new Error(`${spec.name} uses ${directive}, so it must be a single SELECT that can be used as a subquery (no CTEs, batches, procedure calls or ORDER BY without TOP)`);
+	}
+
+	const tracker =
+		spec.mode === 'cdc'
+			? cdcTracker(spec.target, runQuery, database, spec.uniqueKey)
+			: changeTrackingTracker(spec.target, runQuery, database);
+	if (spec.mode === 'change_tracking' && spec.uniqueKey) {
+		console.warn(`${spec.name}: unique_key is ignored with change tracking, rows are matched by the table's primary key`);
+	}
+
+	const directory = resolveStateDirectory(database);
+	const key = stateKey(database, spec.name);
+	const queryHash = crypto.createHash('sha256').update(queryString).digest('hex');
+
+	let state = null;
+	if (database.full_refresh === true || database.full_refresh === 'true') {
+		console.log(`${spec.name}: full refresh requested`);
+	} else {
+		state = await readState(directory, key);
+		if (state && (state.version !== STATE_VERSION || state.query !== queryHash || state.mode !== spec.mode || state.target !== spec.target)) {
+			console.log(`${spec.name}: query changed since the last extract, fetching all rows`);
+			state = null;
+		}
+	}
+
+	// Read before any rows, so changes made while they are read are applied by the next build
+	const { current, oldest } = await tracker.position();
+	if (state && tracker.compare(state.position, oldest) < 0) {
+		console.log(`${spec.name}: ${tracker.description} no longer has the changes since the last extract, as its retention period has passed; fetching all rows`);
+		state = null;
+	}
+
+	const keys = await tracker.keys();
+	if (!keys.length) {
+		throw new Error(
+			spec.mode === 'cdc'
+				? `Capture instance ${spec.target} has no unique index; set unique_key to the columns that identify a row`
+				: `${spec.target} has no primary key, which change tracking needs`
+		);
+	}
+
+	const snapshot = snapshotPath(directory, key);
+	const previousRows = state?.rowCount ?? 0;
+
+	/**
+	 * Pass rows on while saving them, replacing the saved rows and position once all have been read
+	 * @param {() => AsyncIterable<Record<string, unknown>[]>} batches
+	 * @param {import('@evidence-dev/db-commons').QueryResult['columnTypes']} columnTypes
+	 * @param {string[]} sourceKeys - Names of the key columns in the query's rows
+	 * @returns {() => AsyncGenerator<Record<string, unknown>[]>}
+	 */
+	const saveRows = (batches, columnTypes, sourceKeys) =>
+		async function* () {
+			const writer = await createSnapshotWriter(snapshot);
+			let rowCount = 0;
+			let committed = false;
+			try {
+				for await (const batch of batches()) {
+					for (const row of batch) await writer.write(row);
+					rowCount += batch.length;
+					yield batch;
+				}
+
+				await writer.commit();
+				committed = true;
+				await writeState(directory, key, {
+					version: STATE_VERSION,
+					name: spec.name,
+					query: queryHash,
+					mode: spec.mode,
+					target: spec.target,
+					columns: columnTypes.map((column) => column.name),
+					columnTypes,
+					keys: sourceKeys,
+					position: current,
+					rowCount,
+					updatedAt: new Date().toISOString()
+				});
+			} finally {
+				// Leave the previous snapshot in place if the extract did not complete
+				if (!committed) await writer.abort();
+			}
+		};
+
+	/**
+	 * The saved rows with the changed ones replaced, and those the query no longer returns removed
+	 * @param {import('@evidence-dev/db-commons').QueryResult | null} delta - Changed rows, null when nothing changed
+	 * @param {string[]} sourceKeys
+	 * @param {string[]} changeKeys - Names of the changed keys in the delta's rows
+	 * @returns {() => AsyncGenerator<Record<string, unknown>[]>}
+	 */
+	const applyChanges = (delta, sourceKeys, changeKeys) =>
+		async function* () {
+			/** @param {Record<string, unknown>} row @param {string[]} names */
+			const rowKey = (row, names) => JSON.stringify(names.map((name) => row[name]));
+
+			// The whole delta has to be known before the saved rows can be read past it
+			/** @type {Map<string, Record<string, unknown> | null>} */
+			const changed = new Map();
+			if (delta) {
+				for await (const deltaBatch of delta.rows()) {
+					for (const row of deltaBatch) {
+						const changeKey = rowKey(row, changeKeys);
+						// Key columns are never null, so a row without one was deleted or filtered out
+						const present = row[sourceKeys[0]] !== null && row[sourceKeys[0]] !== undefined;
+						for (const name of changeKeys) delete row[name];
+						changed.set(changeKey, present ? row : null);
+					}
+				}
+			}
+
+			let batch = [];
+			for await (const row of readSnapshot(snapshot)) {
+				if (changed.has(rowKey(row, sourceKeys))) continue;
+				batch.push(row);
+				if (batch.length >= batchSize) {
+					yield batch;
+					batch = [];
+				}
+			}
+			for (const row of changed.values()) {
+				if (!row) continue;
+				batch.push(row);
+				if (batch.length >= batchSize) {
+					yield batch;
+					batch = [];
+				}
+			}
+			if (batch.length) yield batch;
+		};
+
+	if (state && tracker.compare(state.position, current) === 0) {
+		console.log(`${spec.name}: no changes since the last extract`);
+		// The saved rows and position stay as they are, so there is nothing to write
+		return {
+			rows: applyChanges(null, state.keys, []),
+			columnTypes: state.columnTypes,
+			expectedRowCount: previousRows
+		};
+	}
+
+	if (state) {
+		const changes = tracker.changedKeys(state.position, current, keys);
+		const query = [
+			`SELECT source.*, ${keys.map((_, index) => `changes.[__change_key_${index + 1}]`).join(', ')}`,
+			`FROM (${changes.query}) AS changes`,
+			`LEFT JOIN (\n${cleanQuery(queryString)}) AS source`,
+			`ON ${keys.map((column, index) => `source.${quoteIdentifier(column)} = changes.[__change_key_${index + 1}]`).join(' AND ')}`
+		].join('\n');
+		/** @type {import('mssql').IColumnMetadata | null} */
+		let columns = null;
+		// Counting the changed keys says nothing about how many rows there will be
+		const delta = await runQuery(query, { ...database, row_count: 'off' }, batchSize, {
+			inputs: changes.inputs,
+			onColumns: (c) => (columns = c),
+			source: spec.source
+		});
+		// Named last, so the query's columns keep the names a full extract gives them
+		const changeKeys = keys.map((_, index) => /** @type {any} */ (findColumn(columns, `__change_key_${index + 1}`)).name);
+		const columnTypes = delta.columnTypes.filter((column) => !changeKeys.includes(column.name));
+		if (columnTypes.map((column) => column.name).join('\n') === state.columns.join('\n')) {
+			return {
+				rows: saveRows(applyChanges(delta, state.keys, changeKeys), columnTypes, state.keys),
+				columnTypes,
+				expectedRowCount: undefined
+			};
+		}
+		console.log(`${spec.name}: columns changed since the last extract, fetching all rows`);
+		await exhaustStream(delta);
+	}
+
+	/** @type {import('mssql').IColumnMetadata | null} */
+	let columns = null;
+	const result = await runQuery(queryString, database, batchSize, { onColumns: (c) => (columns = c), source: spec.source });
+	/** @type {string[]} */
+	const sourceKeys = [];
+	for (const column of keys) {
+		const found = findColumn(columns, column);
+		if (!found) {
+			await exhaustStream(result);
+			throw new Error(`${spec.name} uses ${directive}, so it must return the key column ${column} of ${spec.target} under that name`);
+		}
+		sourceKeys.push(found.name);
+	}
+	return {
+		rows: saveRows(() => result.rows(), result.columnTypes, sourceKeys),
+		columnTypes: result.columnTypes,
+		expectedRowCount: result.expectedRowCount
+	};
+};
+
+module.exports = {
+	runChangeQuery
+};
@@ -0,0 +1,140 @@
+/**
+ * Values of the column_names option
+ * - `as_is`: names are kept as SQL Server returns them
+ * - `snake_case`: `OrderID` and `Order Date` become `order_id` and `order_date`
+ * - `lowercase`: names are only lowercased
+ */
+const COLUMN_NAME_STYLES = ['as_is', 'snake_case', 'lowercase'];
+
+/**
+ * @typedef {Object} ColumnRename
+ * @property {number} position - 1 for the first column
+ * @property {string} from - As SQL Server returned it, empty for an unnamed column
+ * @property {string} to
+ */
+
+/**
+ * @param {Record<string, any>} opts
+ * @returns {'as_is' | 'snake_case' | 'lowercase'}
+ */
+const resolveColumnNameStyle = (opts) => {
+	const style = opts.column_names || 'as_is';
+	if (!COLUMN_NAME_STYLES.includes(style)) {
+		throw new Error(`Invalid column_names "${style}", expected one of ${COLUMN_NAME_STYLES.join(', ')}`);
+	}
+	return style;
+};
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const toSnakeCase = (name) =>
+	name
+		// orderID -> order_ID, HTTPStatus -> HTTP_Status
+		.replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+		.replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+		.replace(/[^A-Za-z0-9]+/g, '_')
+		.replace(/^_+|_+$/g, '')
+		.toLowerCase();
+
+/**
+ * Names for a result set's columns that are unique and never empty, as Evidence needs them:
+ * an unnamed column becomes `column_<position>`, and a name seen before gets `_2`, `_3`, ...
+ * Names are compared without case, as Evidence's tables don't tell `ID` and `id` apart. The
+ * first column with a name keeps it, and a suffixed name never takes one a later column has.
+ * @param {string[]} names - As SQL Server returned them
+ * @param {'as_is' | 'snake_case' | 'lowercase'} style
+ * @returns {{ names: string[], renames: ColumnRename[] }}
+ */
+const uniqueColumnNames = (names, style) => {
+	const styled = names.map((name, index) => {
+		const restyled = style === 'snake_case' ? toSnakeCase(name ?? '') : style === 'lowercase' ? (name ?? '').toLowerCase() : (name ?? '');
+		return restyled || `column_${index + 1}`;
+	});
+	const taken = new Set(styled.map((name) => name.toLowerCase()));
+	/** @type {Set<string>} */
+	const used = new Set();
+	const unique = styled.map((name) => {
+		if (!used.has(name.toLowerCase())) {
+			used.add(name.toLowerCase());
+			return name;
+		}
+		let suffix = 2;
+		while (taken.has(`${name}_${suffix}`.toLowerCase()) || used.has(`${name}_${suffix}`.toLowerCase())) suffix++;
+		used.add(`${name}_${suffix}`.toLowerCase());
+		return `${name}_${suffix}`;
+	});
+	return {
+		names: unique,
+		renames: unique
+			.map((to, index) => ({ position: index + 1, from: names[index] ?? '', to }))
+			.filter(({ from, to }) => from !== to)
+	};
+};
+
+/**
+ * @param {ColumnRename[]} renames
+ * @returns {string} e.g. `(unnamed column 1) -> column_1, id -> id_2`
+ */
+const describeRenames = (renames) =>
+	renames.map(({ position, from, to }) => `${from ? from : `(unnamed column ${position})`} -> ${to}`).join(', ');
+
+/**
+ * @typedef {Object} NamedColumns
+ * @property {import('mssql').IColumnMetadata} columns - By their new names, each with its SQL Server name as `sourceName`
+ * @property {ColumnRename[]} renames
+ * @property {(values: unknown[] | Record<string, unknown>) => Record<string, unknown>} toRow
+ *   Build a row from its values in column order
+ */
+
+/**
+ * Name a result set's columns read with `arrayRowMode`, where mssql keeps each column's metadata
+ * and value apart even when names repeat, rather than merging them into an array under one name.
+ * @param {Array<import('mssql').IColumnMetadata[string]>} columns - In column order
+ * @param {'as_is' | 'snake_case' | 'lowercase'} style
+ * @returns {NamedColumns}
+ */
+const nameColumns = (columns, style) => {
+	const { names, renames } = uniqueColumnNames(
+		columns.map((column) => column.name),
+		style
+	);
+	/** @type {import('mssql').IColumnMetadata} */
+	const named = {};
+	columns.forEach((column, index) => {
+		named[names[index]] = /** @type {any} */ ({ ...column, name: names[index], sourceName: column.name });
+	});
+	return {
+		columns: named,
+		renames,
+		toRow: (values) => {
+			// FOR JSON and FOR XML results arrive as one object, whatever the row mode
+			const list = Array.isArray(values) ? values : Object.values(values);
+			/** @type {Record<string, unknown>} */
+			const row = {};
+			for (let index = 0; index < names.length; index++) row[names[index]] = list[index];
+			return row;
+		}
+	};
+};
+
+/**
+ * Find a column by the name a directive gave it, which may be its SQL Server name or its new one
+ * @param {import('mssql').IColumnMetadata | null | undefined} columns - As named by `nameColumns`
+ * @param {string} name
+ * @returns {import('mssql').IColumnMetadata[string] | undefined}
+ */
+const findColumn = (columns, name) => {
+	if (!columns) return undefined;
+	return columns[name] ?? Object.values(columns).find((column) => /** @type {any} */ (column).sourceName === name);
+};
+
+module.exports = {
+	COLUMN_NAME_STYLES,
+	resolveColumnNameStyle,
+	uniqueColumnNames,
+	describeRenames,
+	nameColumns,
+	findColumn
+};
@@ -0,0 +1,205 @@
+/** Queries a source runs at once when max_concurrent_queries is not set, at most pool_max */
+const DEFAULT_MAX_CONCURRENT_QUERIES = 4;
+
+/** mssql's own pool defaults */
+const DEFAULT_POOL_MAX = 10;
+const DEFAULT_POOL_IDLE_TIMEOUT = 30000;
+
+/** Where a source's limiter is kept on its options; a symbol, so it never reaches a config or cache key */
+const LIMITER = Symbol('queryLimiter');
+
+/**
+ * @typedef {Object} QueryLimiter
+ * @property {number} limit
+ * @property {(owner: string) => Promise<() => void>} acquire
+ *   Wait for a slot; the returned function frees it, and may be called more than once
+ */
+
+/**
+ * @param {Record<string, any>} opts
+ * @param {string} option
+ * @param {number} fallback
+ * @param {number} minimum
+ * @returns {number}
+ */
+const readCount = (opts, option, fallback, minimum) => {
+	const value = opts[option];
+	if (value === undefined || value === null || value === '') return fallback;
+	const count = Number(value);
+	if (!Number.isInteger(count) || count < minimum) {
+		throw new Error(`Invalid ${option} "${value}", expected a whole number of at least ${minimum}`);
+	}
+	return count;
+};
+
+/**
+ * The mssql pool settings for a source
+ * @param {Record<string, any>} opts
+ * @returns {{ min: number, max: number, idleTimeoutMillis: number }}
+ */
+const resolvePoolSettings = (opts) => {
+	const min = readCount(opts, 'pool_min', 0, 0);
+	const max = readCount(opts, 'pool_max', DEFAULT_POOL_MAX, 1);
+	if (min > max) throw new Error(`pool_min (${min}) can't be more than pool_max (${max})`);
+	return { min, max, idleTimeoutMillis: readCount(opts, 'pool_idle_timeout', DEFAULT_POOL_IDLE_TIMEOUT, 0) };
+};
+
+/**
+ * How many of a source's queries may run at once. More than the pool has connections would
+ * only leave the extra queries waiting for one, with their timeouts running.
+ * @param {Record<string, any>} opts
+ * @returns {number}
+ */
+const resolveMaxConcurrentQueries = (opts) => {
+	const { max } = resolvePoolSettings(opts);
+	const limit = readCount(opts, 'max_concurrent_queries', Math.min(DEFAULT_MAX_CONCURRENT_QUERIES, max), 1);
+	if (limit > max) throw new Error(`max_concurrent_queries (${limit}) can't be more than pool_max (${max})`);
+	return limit;
+};
+
+/**
+ * Limit the number of queries running at once. A query holds its slot from connecting until
+ * its rows have been read, so the limit also bounds how many result sets are held in memory.
+ *
+ * Waiting queries are let in fairly: the owner with the fewest running queries goes first, and
+ * owners with as many go in the order they asked, so a file that runs many queries can't starve
+ * the others.
+ * @param {number} limit
+ * @returns {QueryLimiter}
+ */
+const createQueryLimiter = (limit) => {
+	/** @type {Array<{ owner: string, resolve: (release: () => void) => void }>} */
+	const queue = [];
+	/** @type {Map<string, number>} running queries by owner */
+	const running = new Map();
+	let total = 0;
+
+	/** @param {string} owner */
+	const runningFor = (owner) => running.get(owner) ?? 0;
+
+	const dispatch = () => {
+		while (total < limit && queue.length) {
+			let chosen = 0;
+			for (let i = 1; i < queue.length; i++) {
+				if (runningFor(queue[i].owner) < runningFor(queue[chosen].owner)) chosen = i;
+			}
+			const [{ owner, resolve }] = queue.splice(chosen, 1);
+			total++;
+			running.set(owner, runningFor(owner) + 1);
+			let released = false;
+			resolve(() => {
+				if (released) return;
+				released = true;
+				total--;
+				if (runningFor(owner) > 1) running.set(owner, runningFor(owner) - 1);
+				else running.delete(owner);
+				dispatch();
+			});
+		}
+	};
+
+	return {
+		limit,
+		acquire: (owner) =>
+			new Promise((resolve) => {
+				queue.push({ owner, resolve });
+				dispatch();
+			})
+	};
+};
+
+/**
+ * Give a source's options a limiter of their own, shared by every query run with them (or with a
+ * copy of them)
+ * @template {Record<string, any>} T
+ * @param {T} opts
+ * @returns {T}
+ */
+const withQueryLimiter = (opts) => ({ ...opts, [LIMITER]: createQueryLimiter(resolveMaxConcurrentQueries(opts)) });
+
+/**
+ * Wait for the source's limiter to let a query run. Options without a limiter, as used by
+ * testConnection, run straight away.
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} owner - What the query is run for, usually the query file
+ * @returns {Promise<() => void>} Frees the slot
+ */
+const acquireQuerySlot = async (opts, owner) => {
+	/** @type {QueryLimiter | undefined} */
+	const limiter = opts[LIMITER];
+	return limiter ? limiter.acquire(owner) : () => {};
+};
+
+/**
+ * How many jobs to start ahead of the one being read, leaving it a slot of its own
+ * @param {Record<string | symbol, any>} opts - Options given to `withQueryLimiter`
+ * @returns {number}
+ */
+const lookaheadFor = (opts) => (opts[LIMITER]?.limit ?? 1) - 1;
+
+/**
+ * Yield the items of each job in order, while starting up to `lookahead` later jobs, so their
+ * queries run while earlier tables are read. A started job waits at its first item; the rows
+ * behind it stay on the server until it is read, as a paused result set doesn't read ahead.
+ *
+ * Jobs should not throw; anything they raise is raised when their turn comes. When the consumer
+ * stops early, items it was given or was yet to be given are cancelled if they have a `cancel`
+ * method, as tables do, so their queries don't carry on running on the server.
+ * @template {{ cancel?: () => void }} T
+ * @param {Iterable<() => AsyncGenerator<T>>} jobs
+ * @param {number} lookahead
+ * @returns {AsyncGenerator<T>}
+ */
+async function* runAhead(jobs, lookahead) {
+	const iterator = jobs[Symbol.iterator]();
+	/** @type {Array<{ generator: AsyncGenerator<T>, first: Promise<IteratorResult<T>> }>} */
+	const started = [];
+	const start = () => {
+		const step = iterator.next();
+		if (step.done) return false;
+		const generator = step.value();
+		const first = generator.next();
+		// Raised when it's read
+		first.catch(() => {});
+		started.push({ generator, first });
+		return true;
+	};
+
+	try {
+		while (started.length || start()) {
+			while (started.length <= lookahead && start());
+			const { generator, first } = /** @type {typeof started[number]} */ (started.shift());
+			/** @type {T | undefined} */
+			let current;
+			let complete = false;
+			try {
+				for (let step = await first; !step.done; step = await generator.next()) {
+					current = step.value;
+					yield current;
+				}
+				complete = true;
+			} finally {
+				if (!complete) current?.cancel?.();
+				await generator.return(undefined);
+			}
+		}
+	} finally {
+		// Stopped early: give back the connections of jobs that will never be read
+		for (const { generator, first } of started.splice(0)) {
+			first
+				.then((step) => {
+					if (!step.done) step.value?.cancel?.();
+					return generator.return(undefined);
+				})
+				.catch(() => {});
+		}
+	}
+}
+
+module.exports = {
+	resolvePoolSettings,
+	withQueryLimiter,
+	acquireQuerySlot,
+	lookaheadFor,
+	runAhead
+};
@@ -0,0 +1,357 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Connection string keywords, by their lower case name without spaces, and the setting each
+ * maps to. Synonyms map to the same setting.
+ * - learn.microsoft.com/dotnet/api/microsoft.data.sqlclient.sqlconnection.connectionstring
+ * - learn.microsoft.com/sql/connect/odbc/dsn-connection-string-attribute
+ */
+const KEYWORDS = {
+	server: 'server',
+	datasource: 'server',
+	address: 'server',
+	addr: 'server',
+	networkaddress: 'server',
+	initialcatalog: 'database',
+	database: 'database',
+	userid: 'user',
+	uid: 'user',
+	user: 'user',
+	password: 'password',
+	pwd: 'password',
+	authentication: 'authentication',
+	integratedsecurity: 'integrated',
+	trustedconnection: 'integrated',
+	encrypt: 'encrypt',
+	trustservercertificate: 'trust_server_certificate',
+	connecttimeout: 'connection_timeout',
+	connectiontimeout: 'connection_timeout',
+	timeout: 'connection_timeout',
+	logintimeout: 'connection_timeout',
+	commandtimeout: 'request_timeout',
+	applicationintent: 'application_intent',
+	multisubnetfailover: 'multi_subnet_failover',
+	failoverpartner: 'failover_partner',
+	applicationname: 'app_name',
+	app: 'app_name',
+	dsn: 'dsn'
+};
+
+/** Keywords that only tune the client library, and have nothing to set here */
+const IGNORED_KEYWORDS = [
+	'driver',
+	'provider',
+	'persistsecurityinfo',
+	'pooling',
+	'minpoolsize',
+	'maxpoolsize',
+	'connectionlifetime',
+	'loadbalancetimeout',
+	'multipleactiveresultsets',
+	'mars_connection',
+	'connectretrycount',
+	'connectretryinterval',
+	'enlist',
+	'packetsize',
+	'workstationid',
+	'wsid',
+	'hostnameincertificate',
+	'servercertificate'
+];
+
+/**
+ * Values of the Authentication keyword, lower case without spaces or dashes, and the
+ * authenticationType each maps to
+ */
+const AUTHENTICATION_MODES = {
+	sqlpassword: 'default',
+	activedirectorydefault: 'azure-active-directory-default',
+	activedirectorypassword: 'azure-active-directory-password',
+	activedirectoryserviceprincipal: 'azure-active-directory-service-principal-secret',
+	activedirectorymanagedidentity: 'azure-active-directory-msi-vm',
+	activedirectorymsi: 'azure-active-directory-msi-vm',
+	activedirectoryworkloadidentity: 'azure-active-directory-workload-identity'
+};
+
+/**
+ * Options that take the User ID and Password of a connection string, by authenticationType.
+ * Types without an entry don't use them.
+ */
+const CREDENTIAL_OPTIONS = {
+	default: { user: 'user', password: 'password' },
+	'azure-active-directory-password': { user: 'pwuname', password: 'pwpword' },
+	'azure-active-directory-service-principal-secret': { user: 'spclientid', password: 'spclientsecret' },
+	'azure-active-directory-msi-vm': { user: 'msivmclientid' },
+	'azure-active-directory-msi-app-service': { user: 'msiappclientid' },
+	'azure-active-directory-workload-identity': { user: 'wiclientid' },
+	ntlm: { user: 'ntlmuser', password: 'ntlmpassword' }
+};
+
+/**
+ * Split a connection string into its keywords and values. Values may be quoted with "double",
+ * 'single' or {curly} quotes, the way ADO.NET and ODBC quote values containing `;`.
+ * @param {string} connectionString
+ * @returns {Array<[string, string]>} keyword as written, and value
+ */
+const splitConnectionString = (connectionString) => {
+	/** @type {Array<[string, string]>} */
+	const pairs = [];
+	let i = 0;
+	while (i < connectionString.length) {
+		const equals = connectionString.indexOf('=', i);
+		const semicolon = connectionString.indexOf(';', i);
+		if (equals === -1 || (semicolon !== -1 && semicolon < equals)) {
+			const rest = connectionString.slice(i, semicolon === -1 ? undefined : semicolon).trim();
+			if (rest) throw new Error(`Invalid connection string: "${rest}" has no value`);
+			i = semicolon === -1 ? connectionString.length : semicolon + 1;
+			continue;
+		}
+		const keyword = connectionString.slice(i, equals).trim();
+		i = equals + 1;
+		while (connectionString[i] === ' ') i++;
+
+		let value = '';
+		const quote = connectionString[i];
+		if (quote === '"' || quote === "'" || quote === '{') {
+			const close = quote === '{' ? '}' : quote;
+			i++;
+			for (;;) {
+				if (i >= connectionString.length) throw new Error(`Invalid connection string: the value of ${keyword} has no closing ${close}`);
+				if (connectionString[i] === close && connectionString[i + 1] === close) {
+					value += close;
+					i += 2;
+				} else if (connectionString[i] === close) {
+					i++;
+					break;
+				} else {
+					value += connectionString[i++];
+				}
+			}
+			const end = connectionString.indexOf(';', i);
+			if (connectionString.slice(i, end === -1 ? undefined : end).trim()) {
+				throw new Error(`Invalid connection string: unexpected text after the quoted value of ${keyword}`);
+			}
+			i = end === -1 ? connectionString.length : end + 1;
+		} else {
+			const end = connectionString.indexOf(';', i);
+			value = connectionString.slice(i, end === -1 ? undefined : end).trim();
+			i = end === -1 ? connectionString.length : end + 1;
+		}
+		pairs.push([keyword, value]);
+	}
+	return pairs;
+};
+
+/**
+ * Read a data source from the unixODBC configuration, as `DSN=name` refers to it
+ * @param {string} name
+ * @returns {Array<[string, string]>}
+ */
+const readDsn = (name) => {
+	const files = [process.env.ODBCINI, path.join(os.homedir(), '.odbc.ini'), process.env.ODBCSYSINI && path.join(process.env.ODBCSYSINI, 'odbc.ini'), '/etc/odbc.ini'].filter(
+		/** @returns {file is string} */ (file) => Boolean(file)
+	);
+	for (const file of files) {
+		let content;
+		try {
+			content = fs.readFileSync(file, 'utf8');
+		} catch {
+			continue;
+		}
+		/** @type {Array<[string, string]> | null} */
+		let section = null;
+		for (const line of content.split(/\r?\n/)) {
+			const trimmed = line.trim();
+			if (!trimmed || trimmed.startsWith(';') || trimmed.startsWith('#')) continue;
+			const header = /^\[(.*)\]$/.exec(trimmed);
+			if (header) {
+				if (section) break;
+				if (header[1].trim().toLowerCase() === name.toLowerCase()) section = [];
+				continue;
+			}
+			const equals = trimmed.indexOf('=');
+			if (section && equals > 0) section.push([trimmed.slice(0, equals).trim(), trimmed.slice(equals + 1).trim()]);
+		}
+		if (section) return section;
+	}
+	throw new Error(`Data source ${name} was not found in ${files.join(', ')}`);
+};
+
+/**
+ * @param {string} keyword
+ * @param {string} value
+ * @returns {boolean}
+ */
+const parseBoolean = (keyword, value) => {
+	const normalised = value.toLowerCase();
+	if (['true', 'yes', 'sspi'].includes(normalised)) return true;
+	if (['false', 'no'].includes(normalised)) return false;
+	throw new Error(`Invalid connection string: ${keyword} must be true or false, not "${value}"`);
+};
+
+/**
+ * Parse a connection string into the same settings as the connector's options
+ *
+ * @example
+ * parseConnectionString('Server=tcp:x.database.windows.net,1433;Initial Catalog=sales;Authentication=Active Directory Default;Encrypt=True')
+ * // { server: 'x.database.windows.net', connection_port: '1433', database: 'sales', authenticationType: 'azure-active-directory-default', encrypt: 'true' }
+ *
+ * @param {string} connectionString - ADO.NET or ODBC connection string
+ * @returns {Record<string, string>} Options; `user` and `password` are moved to the
+ *   authentication type's own options by `resolveConnectionOptions`
+ */
+const parseConnectionString = (connectionString) => {
+	const pairs = splitConnectionString(connectionString);
+	const dsn = pairs.find(([keyword]) => keyword.replace(/\s/g, '').toLowerCase() === 'dsn');
+	// Keywords in the string override those of the data source
+	const dsnPairs = dsn ? readDsn(dsn[1]) : [];
+
+	/** @type {Record<string, { keyword: string, value: string, fromDsn: boolean }>} */
+	const settings = {};
+	const unknown = [];
+	const tagged = [...dsnPairs.map((pair) => [...pair, true]), ...pairs.map((pair) => [...pair, false])];
+	for (const [keyword, value, fromDsn] of /** @type {Array<[string, string, boolean]>} */ (tagged)) {
+		const normalised = keyword.replace(/\s/g, '').toLowerCase();
+		if (IGNORED_KEYWORDS.includes(normalised)) continue;
+		const setting = KEYWORDS[normalised];
+		if (!setting) {
+			unknown.push(keyword);
+			continue;
+		}
+		const previous = settings[setting];
+		if (previous && !previous.fromDsn && previous.value.toLowerCase() !== value.toLowerCase()) {
+			throw new Error(`Invalid connection string: ${previous.keyword}=${previous.value} conflicts with ${keyword}=${value}`);
+		}
+		settings[setting] = { keyword, value, fromDsn };
+	}
+	if (unknown.length) {
+		throw new Error(`Invalid connection string: unknown keyword${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}. Set the equivalent option of the source instead`);
+	}
+
+	/** @type {Record<string, string>} */
+	const options = {};
+	if (settings.server) {
+		let server = settings.server.value.replace(/^tcp:/i, '');
+		if (/^(np|lpc|admin):/i.test(server)) {
+			throw new Error(`Invalid connection string: ${settings.server.keyword}=${settings.server.value} uses a protocol other than TCP, which is not supported`);
+		}
+		const port = /^(.*),\s*(\d+)$/.exec(server);
+		if (port) {
+			server = port[1];
+			options.connection_port = port[2];
+		}
+		const instance = /^(.*)\\(.*)$/.exec(server);
+		if (instance) {
+			server = instance[1];
+			options.instance_name = instance[2];
+		}
+		options.server = ['.', '(local)', '(localdb)'].includes(server.toLowerCase()) ? 'localhost' : server;
+	}
+	if (settings.database) options.database = settings.database.value;
+	if (settings.user) options.user = settings.user.value;
+	if (settings.password) options.password = settings.password.value;
+
+	if (settings.integrated && parseBoolean(settings.integrated.keyword, settings.integrated.value)) {
+		throw new Error(
+			`Invalid connection string: ${settings.integrated.keyword} (Windows integrated authentication) is not supported. Use authenticationType ntlm with ntlmdomain, ntlmuser and ntlmpassword instead`
+		);
+	}
+	if (settings.authentication) {
+		const mode = settings.authentication.value.replace(/[\s-]/g, '').toLowerCase();
+		const authenticationType = AUTHENTICATION_MODES[mode];
+		if (!authenticationType) {
+			throw new Error(
+				`Invalid connection string: Authentication=${settings.authentication.value} is not supported, expected one of Sql Password, Active Directory Default, Active Directory Password, Active Directory Service Principal, Active Directory Managed Identity or Active Directory Workload Identity`
+			);
+		}
+		options.authenticationType = authenticationType;
+		if (settings.password && !CREDENTIAL_OPTIONS[authenticationType]?.password) {
+			throw new Error(`Invalid connection string: ${settings.password.keyword} conflicts with Authentication=${settings.authentication.value}, which does not use a password`);
+		}
+	} else if (settings.user || settings.password) {
+		options.authenticationType = 'default';
+	}
+
+	if (settings.encrypt) {
+		if (settings.encrypt.value.toLowerCase() === 'strict') {
+			options.encrypt = 'true';
+			options.tds_version = '8_0';
+		} else {
+			const value = settings.encrypt.value.toLowerCase();
+			options.encrypt = String(value === 'mandatory' || (value !== 'optional' && parseBoolean(settings.encrypt.keyword, value)));
+		}
+	}
+	for (const setting of ['trust_server_certificate', 'multi_subnet_failover']) {
+		if (settings[setting]) options[setting] = String(parseBoolean(settings[setting].keyword, settings[setting].value));
+	}
+	// Connection strings give timeouts in seconds, the options in milliseconds
+	for (const setting of ['connection_timeout', 'request_timeout']) {
+		if (!settings[setting]) continue;
+		const seconds = Number(settings[setting].value);
+		if (!Number.isFinite(seconds) || seconds < 0) {
+			throw new Error(`Invalid connection string: ${settings[setting].keyword} must be a number of seconds, not "${settings[setting].value}"`);
+		}
+		options[setting] = String(seconds * 1000);
+	}
+	if (settings.application_intent) {
+		const intent = settings.application_intent.value.toLowerCase();
+		if (intent !== 'readonly' && intent !== 'readwrite') {
+			throw new Error(`Invalid connection string: ${settings.application_intent.keyword} must be ReadOnly or ReadWrite, not "${settings.application_intent.value}"`);
+		}
+		options.application_intent = intent === 'readonly' ? 'ReadOnly' : 'ReadWrite';
+	}
+	if (settings.failover_partner) options.failover_partner = settings.failover_partner.value;
+	if (settings.app_name) options.app_name = settings.app_name.value;
+	return options;
+};
+
+/**
+ * Merge the `connection_string` option, if there is one, into the source's other options.
+ * Options set explicitly override the string's keywords. An option left at its default gives way
+ * to the string, as Evidence writes defaults into connection.yaml as if they had been set. The
+ * string's User ID and Password go to the options of the authentication type in use, e.g.
+ * `spclientid` and `spclientsecret` for a service principal.
+ * @template {Record<string, any>} T
+ * @param {T} opts
+ * @param {Record<string, unknown>} [defaults] - Default of each option that has one
+ * @returns {T} The options without `connection_string`
+ */
+const resolveConnectionOptions = (opts, defaults = {}) => {
+	if (!opts?.connection_string) return opts;
+	const { connection_string, ...explicit } = opts;
+	const { user, password, ...parsed } = parseConnectionString(connection_string);
+
+	/** @type {Record<string, any>} */
+	const resolved = { ...parsed };
+	// SQL password authentication is what the option starts out as, so it gives way to the string's Authentication keyword
+	if (parsed.authenticationType && ['sqlauth', 'default'].includes(explicit.authenticationType)) delete explicit.authenticationType;
+	for (const key of Object.keys(parsed)) {
+		// YAML gives numbers and booleans, environment variables strings
+		if (key in defaults && String(explicit[key]) === String(defaults[key])) delete explicit[key];
+	}
+	for (const [key, value] of Object.entries(explicit)) {
+		if (value !== undefined && value !== null && value !== '') resolved[key] = value;
+	}
+	const target = CREDENTIAL_OPTIONS[resolved.authenticationType] ?? {};
+	const domainUser = resolved.authenticationType === 'ntlm' && user !== undefined ? /^(.*)\\(.*)$/.exec(user) : null;
+	if (domainUser) {
+		// Windows logins are written DOMAIN\user
+		resolved.ntlmdomain ??= domainUser[1];
+		resolved.ntlmuser ??= domainUser[2];
+	} else if (user !== undefined) {
+		if (!target.user) throw new Error(`Invalid connection string: User ID is not used by authenticationType ${resolved.authenticationType}`);
+		resolved[target.user] ??= user;
+	}
+	if (password !== undefined) {
+		if (!target.password) throw new Error(`Invalid connection string: Password is not used by authenticationType ${resolved.authenticationType}`);
+		resolved[target.password] ??= password;
+	}
+	return /** @type {T} */ (resolved);
+};
+
+module.exports = {
+	parseConnectionString,
+	resolveConnectionOptions
+};
@@ -0,0 +1,182 @@
+const mssql = require('mssql');
+const { referencedVariables } = require('./parameters.cjs');
+
+/**
+ * Values of the consistency option
+ * - `off`: each query reads the data as it is when it runs
+ * - `snapshot`: every query runs, one after another, in a single `SNAPSHOT` isolation transaction
+ * - `system_time`: the time is read once, and bound as `@snapshot_time` for `FOR SYSTEM_TIME AS OF`
+ */
+const CONSISTENCY_MODES = ['off', 'snapshot', 'system_time'];
+
+/** The parameter holding the snapshot's time, without its @ */
+const SNAPSHOT_TIME_PARAMETER = 'snapshot_time';
+
+/** Where a source's snapshot is kept on its options, like the query limiter */
+const SNAPSHOT = Symbol('snapshot');
+
+/**
+ * @typedef {Object} SourceSnapshot
+ * @property {'snapshot' | 'system_time'} mode
+ * @property {Date} time - UTC, by the server's clock
+ * @property {mssql.Transaction | null} transaction - Every query of the source runs in it, in snapshot mode
+ * @property {string | null} lost - Why the transaction ended before the source did
+ */
+
+/**
+ * @param {Record<string, any>} opts
+ * @returns {'off' | 'snapshot' | 'system_time'}
+ */
+const resolveConsistency = (opts) => {
+	const mode = opts.consistency || 'off';
+	if (!CONSISTENCY_MODES.includes(mode)) {
+		throw new Error(`Invalid consistency "${mode}", expected one of ${CONSISTENCY_MODES.join(', ')}`);
+	}
+	return mode;
+};
+
+/**
+ * Fix the point in time a source is read at. In snapshot mode this opens the transaction every
+ * query will run in, on a connection of the pool that stays taken until `endSnapshot`.
+ *
+ * SQL Server fixes a snapshot transaction's view of the data when it first reads any, so the
+ * time recorded is when the transaction began, moments before the first query reads.
+ * @param {mssql.ConnectionPool} pool
+ * @param {'snapshot' | 'system_time'} mode
+ * @returns {Promise<SourceSnapshot>}
+ */
+const beginSnapshot = async (pool, mode) => {
+	const now = 'SELECT SYSUTCDATETIME() AS snapshot_time';
+	if (mode === 'system_time') {
+		const { recordset } = await pool.request().query(now);
+		return { mode, time: recordset[0].snapshot_time, transaction: null, lost: null };
+	}
+
+	const { recordset: settings } = await pool
+		.request()
+		.query('SELECT DB_NAME() AS database_name, snapshot_isolation_state FROM sys.databases WHERE database_id = DB_ID()');
+	const setting = settings[0];
+	// 1 is ON; the row is missing when the login can't see sys.databases, and beginning will say
+	if (setting && setting.snapshot_isolation_state !== 1) {
+		throw new Error(
+			`Snapshot isolation is not allowed in ${setting.database_name}; run ALTER DATABASE [${setting.database_name}] SET ALLOW_SNAPSHOT_ISOLATION ON, or use consistency: system_time with temporal tables`
+		);
+	}
+	const transaction = new mssql.Transaction(pool);
+	await transaction.begin(mssql.ISOLATION_LEVEL.SNAPSHOT);
+	/** @type {SourceSnapshot} */
+	const snapshot = { mode, time: new Date(), transaction, lost: null };
+	// The server rolls back a transaction on some errors, e.g. when it is chosen as a deadlock victim
+	transaction.on('rollback', (aborted) => {
+		if (aborted) snapshot.lost = 'the server rolled it back';
+	});
+	try {
+		const { recordset } = await new mssql.Request(transaction).query(now);
+		snapshot.time = recordset[0].snapshot_time;
+	} catch (err) {
+		await transaction.rollback().catch(() => {});
+		throw err;
+	}
+	return snapshot;
+};
+
+/**
+ * End a source's snapshot transaction, undoing anything written when the source is read-only
+ * @param {SourceSnapshot} snapshot
+ * @param {boolean} readOnly
+ * @returns {Promise<void>}
+ */
+const endSnapshot = async ({ transaction, lost }, readOnly) => {
+	if (!transaction || lost) return;
+	try {
+		// The isolation level outlives the transaction, so put the session's default back for the next query
+		await new mssql.Request(transaction).batch('SET TRANSACTION ISOLATION LEVEL READ COMMITTED');
+		await (readOnly ? transaction.rollback() : transaction.commit());
+	} catch (err) {
+		console.warn(`Ending the source's snapshot transaction failed: ${err.message}`);
+	}
+};
+
+/**
+ * @param {Record<string | symbol, any>} opts
+ * @returns {SourceSnapshot | undefined}
+ */
+const snapshotOf = (opts) => opts[SNAPSHOT];
+
+/**
+ * Give a source's options its snapshot. A snapshot transaction can only run one request at a
+ * time, so its queries run one after another.
+ * @template {Record<string, any>} T
+ * @param {T} opts
+ * @param {SourceSnapshot} snapshot
+ * @returns {T}
+ */
+const withSnapshot = (opts, snapshot) => ({
+	...opts,
+	...(snapshot.transaction && { max_concurrent_queries: 1 }),
+	[SNAPSHOT]: snapshot
+});
+
+/**
+ * The snapshot's time as a parameter for queries to use. Without a snapshot, as in a dry run,
+ * it is bound to the current time whenever consistency is set.
+ * @param {Record<string | symbol, any>} opts
+ * @returns {import('./parameters.cjs').BoundParameter[]}
+ */
+const snapshotInputs = (opts) => {
+	const snapshot = snapshotOf(opts);
+	if (!snapshot && resolveConsistency(opts) === 'off') return [];
+	return [{ name: SNAPSHOT_TIME_PARAMETER, type: mssql.DateTime2(7), value: snapshot?.time ?? new Date() }];
+};
+
+/**
+ * Whether a query reads the data as of its source's snapshot: every query does in snapshot mode,
+ * only those using @snapshot_time do with system_time
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} queryString
+ * @returns {boolean}
+ */
+const readsAtSnapshot = (opts, queryString) => {
+	const snapshot = snapshotOf(opts);
+	if (!snapshot) return false;
+	if (snapshot.transaction) return true;
+	return referencedVariables(queryString).some((name) => name.toLowerCase() === SNAPSHOT_TIME_PARAMETER);
+};
+
+/**
+ * What to record on a table about the snapshot it was read from
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} queryString
+ * @returns {{ snapshotTime?: string }}
+ */
+const snapshotMetadata = (opts, queryString) => {
+	const snapshot = snapshotOf(opts);
+	return snapshot && readsAtSnapshot(opts, queryString) ? { snapshotTime: snapshot.time.toISOString() } : {};
+};
+
+/**
+ * Refuse to run a query once its source's snapshot transaction is gone, rather than run it
+ * outside the snapshot
+ * @param {Record<string | symbol, any>} opts
+ * @param {string} description - What would have been run, e.g. the query file
+ */
+const assertSnapshotUsable = (opts, description) => {
+	const snapshot = snapshotOf(opts);
+	if (snapshot?.lost) {
+		throw new Error(`The source's snapshot transaction ended early, as ${snapshot.lost}, so ${description} can't be read at the same point in time`);
+	}
+};
+
+module.exports = {
+	CONSISTENCY_MODES,
+	SNAPSHOT_TIME_PARAMETER,
+	resolveConsistency,
+	beginSnapshot,
+	endSnapshot,
+	withSnapshot,
+	snapshotOf,
+	snapshotInputs,
+	readsAtSnapshot,
+	snapshotMetadata,
+	assertSnapshotUsable
+};
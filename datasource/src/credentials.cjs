@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ClientCertificateCredential, WorkloadIdentityCredential } = require('@azure/identity');
+
+/** Milliseconds before a token expires at which it is replaced */
+const REFRESH_MARGIN = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} AccessToken
+ * @property {string} token
+ * @property {number} expiresOnTimestamp - Milliseconds since the epoch
+ */
+
+/**
+ * @typedef {Object} TokenCredential
+ * @property {(scopes: string | string[], options?: object) => Promise<AccessToken | null>} getToken
+ */
+
+/**
+ * Wrap a credential so its tokens are cached and replaced before they expire. Pools are kept
+ * for the whole build, and every connection they open needs a token that is still valid, so a
+ * token is fetched again in the background `REFRESH_MARGIN` before it runs out rather than when
+ * a connection fails an hour into the build.
+ *
+ * The wrapper is a plain object with its state in a closure, as mssql deep copies the config.
+ *
+ * @param {TokenCredential} credential
+ * @returns {TokenCredential}
+ */
+const refreshingCredential = (credential) => {
+	/** @type {Map<string, { token: Promise<AccessToken | null>, timer: NodeJS.Timeout | null, used: boolean }>} */
+	const cache = new Map();
+
+	/**
+	 * @param {string} key
+	 * @param {string | string[]} scopes
+	 * @returns {Promise<AccessToken | null>}
+	 */
+	const fetch = (key, scopes) => {
+		const previous = cache.get(key);
+		if (previous?.timer) clearTimeout(previous.timer);
+		const entry = { token: credential.getToken(scopes), timer: /** @type {NodeJS.Timeout | null} */ (null), used: false };
+		cache.set(key, entry);
+		entry.token.then(
+			(token) => {
+				if (!token || cache.get(key) !== entry) return;
+				const wait = token.expiresOnTimestamp - REFRESH_MARGIN - Date.now();
+				entry.timer = setTimeout(() => {
+					// Only keep refreshing while connections are still being opened with the token
+					if (!entry.used) return;
+					// A failed refresh is dropped, so the next connection asks again and sees the error
+					fetch(key, scopes).catch(() => cache.delete(key));
+				}, Math.max(wait, 0));
+				// A pending refresh should never be what keeps the process alive
+				entry.timer.unref();
+			},
+			() => {
+				if (cache.get(key) === entry) cache.delete(key);
+			}
+		);
+		return entry.token;
+	};
+
+	return {
+		getToken: async (scopes) => {
+			const key = [scopes].flat().join(' ');
+			const cached = cache.get(key);
+			if (cached) {
+				cached.used = true;
+				const token = await cached.token.catch(() => null);
+				if (token && token.expiresOnTimestamp - REFRESH_MARGIN > Date.now()) return token;
+			}
+			return fetch(key, scopes);
+		}
+	};
+};
+
+/** @type {Map<string, TokenCredential>} certificate credentials by their settings, one per source */
+const certificateCredentials = new Map();
+
+/**
+ * Check the certificate in a PEM file against the thumbprint it was configured with, so a file
+ * replaced by the wrong certificate is reported as such rather than as a failed login
+ * @param {TokenCredential} credential
+ * @param {string} certificatePath
+ * @param {string} thumbprint
+ * @returns {TokenCredential}
+ */
+const checkingThumbprint = (credential, certificatePath, thumbprint) => ({
+	getToken: async (scopes, options) => {
+		const expected = thumbprint.replace(/[\s:]/g, '').toUpperCase();
+		const actual = new crypto.X509Certificate(await fs.promises.readFile(certificatePath, 'utf8')).fingerprint.replace(/:/g, '');
+		if (actual !== expected) {
+			throw new Error(`Thumbprint ${thumbprint} does not match the certificate in ${certificatePath}, whose thumbprint is ${actual}`);
+		}
+		return credential.getToken(scopes, options);
+	}
+});
+
+/**
+ * Credential for a service principal that authenticates with a certificate. The certificate is
+ * read again for each token, so a renewed certificate at the same path is picked up. Pools are
+ * built from the config more than once, so each source's credential is only created once.
+ * @param {Object} options
+ * @param {string} options.tenantId
+ * @param {string} options.clientId
+ * @param {string} options.certificatePath - PEM file with the certificate and its private key
+ * @param {string} [options.thumbprint] - Checked against the certificate's SHA-1 thumbprint
+ * @param {string} [options.password] - Passphrase of an encrypted private key
+ * @param {boolean} [options.sendCertificateChain] - Send the certificates, for subject name and issuer authentication
+ * @returns {TokenCredential}
+ */
+const certificateCredential = ({ tenantId, clientId, certificatePath, thumbprint, password, sendCertificateChain }) => {
+	if (/\.(pfx|p12)$/i.test(certificatePath)) {
+		throw new Error(
+			`Certificate ${certificatePath} is a PFX file, which can't be read directly. Convert it to PEM with: openssl pkcs12 -in ${path.basename(certificatePath)} -out certificate.pem -nodes`
+		);
+	}
+	const key = JSON.stringify([tenantId, clientId, certificatePath, thumbprint, password, sendCertificateChain]);
+	let credential = certificateCredentials.get(key);
+	if (!credential) {
+		/** @type {TokenCredential} */
+		const client = new ClientCertificateCredential(
+			tenantId,
+			clientId,
+			{ certificatePath, certificatePassword: password },
+			{ sendCertificateChain }
+		);
+		credential = refreshingCredential(thumbprint ? checkingThumbprint(client, certificatePath, thumbprint) : client);
+		certificateCredentials.set(key, credential);
+	}
+	return credential;
+};
+
+/**
+ * Credential for workload identity federation, which exchanges a token issued by another
+ * platform (such as a Kubernetes service account or a CI job) for an Entra token. Settings left
+ * out fall back to AZURE_TENANT_ID, AZURE_CLIENT_ID and AZURE_FEDERATED_TOKEN_FILE. The token
+ * file is read again whenever a token is requested, as those platforms rotate it.
+ * @param {Object} options
+ * @param {string} [options.tenantId]
+ * @param {string} [options.clientId]
+ * @param {string} [options.tokenFilePath]
+ * @returns {TokenCredential}
+ */
+const workloadIdentityCredential = ({ tenantId, clientId, tokenFilePath }) =>
+	refreshingCredential(new WorkloadIdentityCredential({ tenantId, clientId, tokenFilePath }));
+
+/**
+ * Expiry of a JWT access token, without verifying it
+ * @param {string} token
+ * @returns {Date | undefined} undefined when the token is not a JWT or has no expiry
+ */
+const tokenExpiry = (token) => {
+	try {
+		const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf8'));
+		return typeof exp === 'number' ? new Date(exp * 1000) : undefined;
+	} catch {
+		return undefined;
+	}
+};
+
+module.exports = {
+	certificateCredential,
+	workloadIdentityCredential,
+	tokenExpiry
+};
@@ -0,0 +1,419 @@
+const dns = require('dns');
+const net = require('net');
+const tls = require('tls');
+const mssql = require('mssql');
+const { describeError } = require('./errors.cjs');
+
+/**
+ * SQL Server error numbers for a login that was authenticated but could not open its database
+ * - 4060: Cannot open database requested by the login
+ * - 916: The server principal is not able to access the database under the current security context
+ * - 40508: USE statement is not supported to switch between databases (Azure SQL)
+ */
+const DATABASE_ACCESS_ERRORS = [4060, 916, 40508];
+
+/** Node's messages for a certificate it won't trust, or that was issued for another name */
+const CERTIFICATE_ERROR = /certificate|self[- ]signed|altnames|CERT_/i;
+
+const CERTIFICATE_HINT = "The server's certificate is not trusted. Add its issuer with NODE_EXTRA_CA_CERTS, or connect with the name the certificate was issued for";
+
+/** SERVERPROPERTY('EngineEdition') values, learn.microsoft.com/sql/t-sql/functions/serverproperty-transact-sql */
+const ENGINE_EDITIONS = {
+	1: 'Personal or Desktop Engine',
+	2: 'Standard',
+	3: 'Enterprise',
+	4: 'Express',
+	5: 'Azure SQL Database',
+	6: 'Azure Synapse Analytics',
+	8: 'Azure SQL Managed Instance',
+	9: 'Azure SQL Edge',
+	11: 'Azure Synapse serverless SQL pool',
+	12: 'Microsoft Fabric'
+};
+
+/**
+ * @typedef {'dns' | 'tcp' | 'tls' | 'authentication' | 'database' | 'permissions'} StageName
+ */
+
+/**
+ * @typedef {Object} DiagnosticStage
+ * @property {StageName} stage
+ * @property {string} title - e.g. `TCP connection to db.example.com:1433`
+ * @property {'passed' | 'failed' | 'skipped'} status - Stages after a failed one are skipped
+ * @property {string} [detail] - What was found, or why the stage was skipped
+ * @property {string} [error] - Why the stage failed, with a hint where there is one
+ * @property {Record<string, any>} [info] - e.g. the certificate, for the TLS stage
+ * @property {number} [ms] - How long the stage took
+ */
+
+/**
+ * @typedef {Object} ServerInfo
+ * @property {string} version - e.g. 16.0.4135.4
+ * @property {string | null} productLevel - e.g. RTM, SP1
+ * @property {string} edition
+ * @property {string} engineEdition - e.g. Azure SQL Database
+ * @property {number | null} compatibilityLevel - Of the database connected to
+ * @property {{ edition: string, serviceObjective: string } | null} azure - Service tier of an Azure SQL database
+ */
+
+/**
+ * @typedef {Object} ConnectionDiagnosis
+ * @property {boolean} ok - Whether every stage passed
+ * @property {DiagnosticStage[]} stages
+ * @property {ServerInfo | null} server - null when the database could not be reached
+ * @property {string[]} warnings - Permissions some features need but the login lacks
+ */
+
+/**
+ * @param {number} started
+ * @returns {number}
+ */
+const since = (started) => Date.now() - started;
+
+/**
+ * Resolve the server's name to its addresses
+ * @param {string} host
+ * @returns {Promise<string>}
+ */
+const resolveHost = async (host) => {
+	if (net.isIP(host)) return `${host} is an IP address`;
+	const addresses = await dns.promises.lookup(host, { all: true });
+	return `${host} resolved to ${addresses.map(({ address }) => address).join(', ')}`;
+};
+
+/**
+ * Open and close a TCP connection to the server's port
+ * @param {string} host
+ * @param {number} port
+ * @param {number} timeout - Milliseconds
+ * @returns {Promise<string>}
+ */
+const reachPort = (host, port, timeout) =>
+	new Promise((resolve, reject) => {
+		const socket = net.connect({ host, port });
+		socket.setTimeout(timeout);
+		socket.once('connect', () => {
+			const address = socket.remoteAddress;
+			socket.destroy();
+			resolve(`Port ${port} accepted a connection${address && address !== host ? ` on ${address}` : ''}`);
+		});
+		socket.once('timeout', () => {
+			socket.destroy();
+			reject(new Error(`No answer on port ${port} within ${timeout}ms; a firewall may be dropping the connection`));
+		});
+		socket.once('error', (err) => {
+			socket.destroy();
+			reject(err);
+		});
+	});
+
+/**
+ * The details of a TLS connection worth showing: who the certificate was issued to and by, when
+ * it expires, and whether it would be trusted without trust_server_certificate
+ * @param {import('tls').TLSSocket} socket
+ * @returns {Record<string, any>}
+ */
+const describeTls = (socket) => {
+	const certificate = socket.getPeerCertificate();
+	return {
+		protocol: socket.getProtocol(),
+		cipher: socket.getCipher()?.name,
+		subject: certificate?.subject?.CN,
+		issuer: certificate?.issuer?.CN ?? certificate?.issuer?.O,
+		altNames: certificate?.subjectaltname,
+		validFrom: certificate?.valid_from,
+		validTo: certificate?.valid_to,
+		fingerprint: certificate?.fingerprint256,
+		trusted: socket.authorized,
+		trustError: socket.authorizationError ? String(socket.authorizationError) : undefined
+	};
+};
+
+/**
+ * @param {Record<string, any>} info
+ * @returns {string}
+ */
+const summarizeTls = (info) =>
+	[
+		`${info.protocol} with ${info.cipher}`,
+		info.subject && `certificate for ${info.subject} issued by ${info.issuer}, valid until ${info.validTo}`,
+		info.trusted === false && `not trusted (${info.trustError}), accepted because trust_server_certificate is on`
+	]
+		.filter(Boolean)
+		.join('; ');
+
+/**
+ * TDS 8.0 starts with a TLS handshake of its own, before any TDS traffic, so it can be checked
+ * on its own. Older versions negotiate TLS inside the TDS prelogin, which only a login can do.
+ * tedious always verifies the certificate in strict mode, whatever trust_server_certificate says.
+ * @param {Record<string, any>} config - mssql config
+ * @returns {Promise<Record<string, any>>}
+ */
+const strictHandshake = (config) =>
+	new Promise((resolve, reject) => {
+		const socket = tls.connect({
+			host: config.server,
+			port: config.port,
+			servername: net.isIP(config.server) ? undefined : config.server,
+			ALPNProtocols: ['tds/8.0']
+		});
+		socket.setTimeout(config.connectionTimeout);
+		socket.once('secureConnect', () => {
+			const info = describeTls(socket);
+			socket.destroy();
+			resolve(info);
+		});
+		socket.once('timeout', () => {
+			socket.destroy();
+			reject(new Error(`No TLS handshake within ${config.connectionTimeout}ms`));
+		});
+		socket.once('error', (err) => {
+			socket.destroy();
+			reject(err);
+		});
+	});
+
+const SERVER_INFO_QUERY = `
+SELECT
+	CAST(SERVERPROPERTY('ProductVersion') AS nvarchar(128)) AS version,
+	CAST(SERVERPROPERTY('ProductLevel') AS nvarchar(128)) AS product_level,
+	CAST(SERVERPROPERTY('Edition') AS nvarchar(128)) AS edition,
+	CAST(SERVERPROPERTY('EngineEdition') AS int) AS engine_edition,
+	(SELECT compatibility_level FROM sys.databases WHERE database_id = DB_ID()) AS compatibility_level,
+	CAST(DATABASEPROPERTYEX(DB_NAME(), 'Edition') AS nvarchar(128)) AS azure_edition,
+	CAST(DATABASEPROPERTYEX(DB_NAME(), 'ServiceObjective') AS nvarchar(128)) AS service_objective,
+	DB_NAME() AS database_name`;
+
+/**
+ * @param {import('mssql').ConnectionPool} pool
+ * @returns {Promise<ServerInfo & { database: string }>}
+ */
+const readServerInfo = async (pool) => {
+	const { recordset } = await pool.request().query(SERVER_INFO_QUERY);
+	const row = recordset[0];
+	const engineEdition = ENGINE_EDITIONS[row.engine_edition] ?? `Engine edition ${row.engine_edition}`;
+	return {
+		database: row.database_name,
+		version: row.version,
+		productLevel: row.product_level ?? null,
+		edition: row.edition,
+		engineEdition,
+		compatibilityLevel: row.compatibility_level ?? null,
+		// Only Azure SQL Database has a service tier, elsewhere these are NULL or the server's edition
+		azure: row.engine_edition === 5 && row.service_objective ? { edition: row.azure_edition, serviceObjective: row.service_objective } : null
+	};
+};
+
+const PERMISSIONS_QUERY = `
+SELECT
+	HAS_PERMS_BY_NAME(DB_NAME(), 'DATABASE', 'VIEW DEFINITION') AS view_definition,
+	HAS_PERMS_BY_NAME(DB_NAME(), 'DATABASE', 'SHOWPLAN') AS showplan,
+	HAS_PERMS_BY_NAME(DB_NAME(), 'DATABASE', 'SELECT') AS select_database,
+	(
+		SELECT COUNT(*) FROM sys.objects
+		WHERE type IN ('U', 'V')
+			AND is_ms_shipped = 0
+			AND HAS_PERMS_BY_NAME(QUOTENAME(SCHEMA_NAME(schema_id)) + '.' + QUOTENAME(name), 'OBJECT', 'SELECT') = 1
+	) AS selectable`;
+
+/**
+ * Check the login can read something, and note the permissions some features need
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {string} database
+ * @param {Record<string, any>} opts
+ * @param {string[]} warnings
+ * @returns {Promise<string>}
+ */
+const checkPermissions = async (pool, database, opts, warnings) => {
+	const { recordset } = await pool.request().query(PERMISSIONS_QUERY);
+	const row = recordset[0];
+	if (!row.select_database && !row.selectable) {
+		throw new Error(`The login can't SELECT from any table or view in ${database}; grant SELECT on the schemas or objects to query`);
+	}
+	if (!row.view_definition) {
+		warnings.push(`No VIEW DEFINITION on ${database}: schema discovery and dry runs only see the objects the login has other permissions on`);
+	}
+	if (!row.showplan && opts.row_count !== 'off' && opts.row_count !== 'subquery') {
+		warnings.push(`No SHOWPLAN on ${database}: estimated row counts will fail, and only be reported as warnings`);
+	}
+	return row.select_database
+		? `SELECT on the whole database${row.view_definition ? ', and VIEW DEFINITION' : ''}`
+		: `SELECT on ${row.selectable} ${row.selectable === 1 ? 'table or view' : 'tables and views'}${row.view_definition ? ', and VIEW DEFINITION' : ''}`;
+};
+
+/**
+ * Check each step of connecting to a source on its own, stopping at the first that fails:
+ * resolving the server's name, reaching its port, the TLS handshake, logging in, opening the
+ * database, and the permissions needed to query it. Nothing is retried, so a failure is
+ * reported as it happened.
+ *
+ * The TLS handshake, login and database are observed on a single connection, as SQL Server
+ * negotiates TLS inside its own protocol; the TLS socket is taken from tedious as it is set up.
+ * @param {Record<string, any>} config - mssql config of the source
+ * @param {Record<string, any>} opts - The source's options
+ * @returns {Promise<ConnectionDiagnosis>}
+ */
+const diagnoseConnection = async (config, opts) => {
+	/** @type {DiagnosticStage[]} */
+	const stages = [];
+	/** @type {string[]} */
+	const warnings = [];
+	/** @type {ServerInfo | null} */
+	let server = null;
+	const host = config.server;
+	const instance = config.options.instanceName;
+	const strict = config.options.encrypt === 'strict';
+	const titles = {
+		dns: `DNS resolution of ${host}`,
+		tcp: instance ? `TCP connection to ${host}\\${instance}` : `TCP connection to ${host}:${config.port}`,
+		tls: 'TLS handshake',
+		authentication: `Authentication (${opts.authenticationType})`,
+		database: `Access to database ${config.database || '(default)'}`,
+		permissions: 'Permissions'
+	};
+	/**
+	 * @param {StageName} stage
+	 * @param {Omit<DiagnosticStage, 'stage' | 'title'>} result
+	 */
+	const record = (stage, result) => stages.push({ stage, title: titles[stage], ...result });
+	const result = () => {
+		const reached = new Set(stages.map(({ stage }) => stage));
+		for (const stage of /** @type {StageName[]} */ (Object.keys(titles))) {
+			if (!reached.has(stage)) record(stage, { status: 'skipped', detail: 'An earlier stage failed' });
+		}
+		return { ok: stages.every(({ status }) => status !== 'failed'), stages, server, warnings };
+	};
+	/**
+	 * @param {StageName} stage
+	 * @param {number} started
+	 * @param {any} err
+	 */
+	const fail = (stage, started, err) =>
+		record(stage, {
+			status: 'failed',
+			error:
+				stage === 'tls' && CERTIFICATE_ERROR.test(String(err?.message))
+					? `${String(err.message).replace(/\n|\r/g, ' ')}. ${CERTIFICATE_HINT}${strict ? '' : ', or set trust_server_certificate'}`
+					: describeError(err, { authenticationType: opts.authenticationType }).message,
+			ms: since(started)
+		});
+
+	let started = Date.now();
+	try {
+		record('dns', { status: 'passed', detail: await resolveHost(host), ms: since(started) });
+	} catch (err) {
+		fail('dns', started, err);
+		return result();
+	}
+
+	started = Date.now();
+	if (instance) {
+		record('tcp', { status: 'skipped', detail: `The port of instance ${instance} is looked up with SQL Server Browser while logging in` });
+	} else {
+		try {
+			record('tcp', { status: 'passed', detail: await reachPort(host, config.port, config.connectionTimeout), ms: since(started) });
+		} catch (err) {
+			fail('tcp', started, err);
+			return result();
+		}
+	}
+
+	/** @type {Record<string, any> | null} */
+	let tlsInfo = null;
+	if (strict && !instance) {
+		started = Date.now();
+		try {
+			tlsInfo = await strictHandshake(config);
+			record('tls', { status: 'passed', detail: `Strict (TDS 8.0): ${summarizeTls(tlsInfo)}`, info: tlsInfo, ms: since(started) });
+		} catch (err) {
+			fail('tls', started, err);
+			return result();
+		}
+	}
+
+	/** @type {Array<{ number: number, message: string }>} */
+	const loginErrors = [];
+	let secured = 0;
+	const pool = new mssql.ConnectionPool({
+		...config,
+		// A single connection, whose login is not retried
+		pool: { min: 0, max: 1 },
+		options: { ...config.options, maxRetriesOnTransientErrors: 0 },
+		beforeConnect: (/** @type {any} */ connection) => {
+			connection.on('secure', (/** @type {import('tls').TLSSocket} */ socket) => {
+				if (tlsInfo) return;
+				secured = Date.now();
+				tlsInfo = describeTls(socket);
+			});
+			connection.on('errorMessage', (/** @type {any} */ token) => loginErrors.push({ number: token.number, message: token.message }));
+		}
+	});
+	pool.on('error', () => {});
+	started = Date.now();
+	try {
+		await pool.connect();
+	} catch (err) {
+		if (!stages.some(({ stage }) => stage === 'tls')) {
+			if (tlsInfo) {
+				record('tls', { status: 'passed', detail: summarizeTls(tlsInfo), info: tlsInfo, ms: secured - started });
+			} else if (config.options.encrypt) {
+				// Reached the port, but never finished the handshake: a certificate that isn't trusted, or a TLS version mismatch
+				fail('tls', started, err);
+				return result();
+			}
+		}
+		const afterTls = secured || started;
+		// The login fails as a whole, the server's messages tell whether it was the database
+		const databaseError = loginErrors.find(({ number }) => DATABASE_ACCESS_ERRORS.includes(number));
+		if (databaseError) {
+			record('authentication', { status: 'passed', detail: 'The login was accepted', ms: since(afterTls) });
+			fail('database', afterTls, Object.assign(new Error(databaseError.message), { number: databaseError.number }));
+		} else {
+			fail('authentication', afterTls, err);
+		}
+		await pool.close().catch(() => {});
+		return result();
+	}
+
+	try {
+		if (!stages.some(({ stage }) => stage === 'tls')) {
+			record(
+				'tls',
+				tlsInfo
+					? { status: 'passed', detail: summarizeTls(tlsInfo), info: tlsInfo, ms: secured - started }
+					: strict
+						? { status: 'passed', detail: 'Strict (TDS 8.0), negotiated while logging in' }
+						: { status: 'skipped', detail: 'encrypt is off and the server did not require it' }
+			);
+		}
+		const authenticated = Date.now();
+		record('authentication', { status: 'passed', detail: 'The login was accepted', ms: authenticated - (secured || started) });
+
+		started = Date.now();
+		try {
+			const { database, ...info } = await readServerInfo(pool);
+			server = info;
+			record('database', {
+				status: 'passed',
+				detail: `Connected to ${database} on ${info.engineEdition} ${info.version}${info.azure ? ` (${info.azure.edition}, ${info.azure.serviceObjective})` : ''}`,
+				ms: since(started)
+			});
+			titles.permissions = `Permissions on ${database}`;
+			started = Date.now();
+			try {
+				record('permissions', { status: 'passed', detail: await checkPermissions(pool, database, opts, warnings), ms: since(started) });
+			} catch (err) {
+				fail('permissions', started, err);
+			}
+		} catch (err) {
+			fail('database', started, err);
+		}
+	} finally {
+		await pool.close().catch(() => {});
+	}
+	return result();
+};
+
+module.exports = {
+	diagnoseConnection
+};
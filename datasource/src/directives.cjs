@@ -0,0 +1,149 @@
+/**
+ * The `-- @name value` lines from the comment block at the top of a query, in order.
+ * Parsing stops at the first line that is not blank or a line comment.
+ * @param {string} queryString
+ * @returns {Generator<[string, string]>} lower case name and value
+ */
+function* readDirectives(queryString) {
+	for (const line of queryString.split(/\r?\n/)) {
+		const trimmed = line.trim();
+		if (!trimmed) continue;
+		if (!trimmed.startsWith('--')) break;
+		const match = /^--\s*@([A-Za-z_][\w-]*)\s*(.*)$/.exec(trimmed);
+		if (match) yield [match[1].toLowerCase(), match[2].trim()];
+	}
+}
+
+/**
+ * Read the `-- @name value` directives from the comment block at the top of a query.
+ * When a directive is repeated the last value wins.
+ *
+ * @example
+ * -- @watermark modified_at
+ * -- @unique_key order_id
+ * SELECT * FROM dbo.orders
+ *
+ * @param {string} queryString
+ * @returns {Record<string, string>}
+ */
+const parseDirectives = (queryString) => {
+	/** @type {Record<string, string>} */
+	const directives = {};
+	for (const [name, value] of readDirectives(queryString)) directives[name] = value;
+	return directives;
+};
+
+/**
+ * Every value of a directive that may be given more than once, such as `@param`
+ * @param {string} queryString
+ * @param {string} name
+ * @returns {string[]}
+ */
+const parseRepeatedDirective = (queryString, name) =>
+	Array.from(readDirectives(queryString))
+		.filter(([directive]) => directive === name)
+		.map(([, value]) => value);
+
+/** Every directive the connector reads, anywhere it reads them */
+const KNOWN_DIRECTIVES = [
+	'watermark',
+	'unique_key',
+	'resume_key',
+	'change_tracking',
+	'cdc',
+	'result',
+	'cache_ttl',
+	'cache_probe',
+	'procedure',
+	'param',
+	'output',
+	'return_value',
+	'recordset',
+	'timeout',
+	'batch_size',
+	'retries',
+	'isolation'
+];
+
+/** Isolation levels `@isolation` accepts, as named by mssql.ISOLATION_LEVEL */
+const ISOLATION_LEVELS = ['READ_UNCOMMITTED', 'READ_COMMITTED', 'REPEATABLE_READ', 'SERIALIZABLE', 'SNAPSHOT'];
+
+/**
+ * @typedef {Object} QueryOverrides
+ * @property {number} [batchSize]
+ * @property {{ query_timeout?: number, retries?: number, isolation?: string }} options
+ *   Merged over the source's options for this query only. `query_timeout` is set on the query's
+ *   own requests, leaving `request_timeout` and so the pool they share alone
+ */
+
+/**
+ * @param {string} name
+ * @param {string} value
+ * @param {string} expected
+ * @returns {number}
+ */
+const parseCount = (name, value, expected) => {
+	if (!/^\d+$/.test(value)) throw new Error(`Invalid @${name} "${value}", expected ${expected}`);
+	return Number(value);
+};
+
+/**
+ * Settings a query can override in its header, for itself only: `@timeout` (milliseconds, 0 for
+ * none), `@batch_size`, `@retries` and `@isolation`.
+ *
+ * @example
+ * -- @timeout 600000
+ * -- @batch_size 50000
+ * -- @retries 0
+ * -- @isolation snapshot
+ * SELECT * FROM dbo.fact_sales
+ *
+ * @param {Record<string, string | undefined>} directives
+ * @returns {QueryOverrides}
+ */
+const parseQueryOverrides = (directives) => {
+	/** @type {QueryOverrides} */
+	const overrides = { options: {} };
+	if (directives.timeout !== undefined) {
+		overrides.options.query_timeout = parseCount('timeout', directives.timeout, 'a number of milliseconds, or 0 for no timeout');
+	}
+	if (directives.batch_size !== undefined) {
+		overrides.batchSize = parseCount('batch_size', directives.batch_size, 'a number of rows');
+		if (!overrides.batchSize) throw new Error('Invalid @batch_size "0", expected at least 1 row');
+	}
+	if (directives.retries !== undefined) {
+		overrides.options.retries = parseCount('retries', directives.retries, 'a number of retries, or 0 to fail on the first error');
+	}
+	if (directives.isolation !== undefined) {
+		const level = directives.isolation.trim().toUpperCase().replace(/[\s_]+/g, '_');
+		if (!ISOLATION_LEVELS.includes(level)) {
+			throw new Error(
+				`Invalid @isolation "${directives.isolation}", expected one of ${ISOLATION_LEVELS.map((name) => name.toLowerCase().replace(/_/g, ' ')).join(', ')}`
+			);
+		}
+		overrides.options.isolation = level;
+	}
+	return overrides;
+};
+
+/**
+ * Warn about header directives the connector doesn't know, which are most likely misspelt
+ * @param {string} queryString
+ * @param {string} name - Evidence table name, to say where the directive is
+ */
+const warnUnknownDirectives = (queryString, name) => {
+	const unknown = new Set();
+	for (const [directive] of readDirectives(queryString)) {
+		if (!KNOWN_DIRECTIVES.includes(directive)) unknown.add(directive);
+	}
+	for (const directive of unknown) {
+		console.warn(`${name}: ignoring unknown directive @${directive}, expected one of @${KNOWN_DIRECTIVES.join(', @')}`);
+	}
+};
+
+module.exports = {
+	parseDirectives,
+	parseRepeatedDirective,
+	parseQueryOverrides,
+	warnUnknownDirectives
+};
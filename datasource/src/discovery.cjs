@@ -0,0 +1,279 @@
+const mssql = require('mssql');
+const { TypeFidelity, EvidenceType } = require('@evidence-dev/db-commons');
+const { buildMatcher, defaultTableName, quoteIdentifier } = require('./tables.cjs');
+
+/**
+ * mssql types of SQL Server's system types, by the name `sys.types` gives them.
+ * User-defined alias types are looked up by their base type.
+ */
+const SYSTEM_TYPES = {
+	bit: mssql.TYPES.Bit,
+	tinyint: mssql.TYPES.TinyInt,
+	smallint: mssql.TYPES.SmallInt,
+	int: mssql.TYPES.Int,
+	bigint: mssql.TYPES.BigInt,
+	float: mssql.TYPES.Float,
+	real: mssql.TYPES.Real,
+	decimal: mssql.TYPES.Decimal,
+	numeric: mssql.TYPES.Numeric,
+	money: mssql.TYPES.Money,
+	smallmoney: mssql.TYPES.SmallMoney,
+	date: mssql.TYPES.Date,
+	datetime: mssql.TYPES.DateTime,
+	datetime2: mssql.TYPES.DateTime2,
+	smalldatetime: mssql.TYPES.SmallDateTime,
+	datetimeoffset: mssql.TYPES.DateTimeOffset,
+	time: mssql.TYPES.Time,
+	char: mssql.TYPES.Char,
+	nchar: mssql.TYPES.NChar,
+	varchar: mssql.TYPES.VarChar,
+	nvarchar: mssql.TYPES.NVarChar,
+	text: mssql.TYPES.Text,
+	ntext: mssql.TYPES.NText,
+	xml: mssql.TYPES.Xml,
+	uniqueidentifier: mssql.TYPES.UniqueIdentifier,
+	binary: mssql.TYPES.Binary,
+	varbinary: mssql.TYPES.VarBinary,
+	image: mssql.TYPES.Image,
+	timestamp: mssql.TYPES.Binary,
+	geography: mssql.TYPES.Geography,
+	geometry: mssql.TYPES.Geometry,
+	hierarchyid: mssql.TYPES.UDT,
+	sql_variant: mssql.TYPES.Variant
+};
+
+/**
+ * @typedef {Object} DiscoveredColumn
+ * @property {string} name
+ * @property {number} position - 1 for the first column
+ * @property {string} sqlType - As it would be declared, e.g. `nvarchar(50)` or `decimal(18,2)`
+ * @property {string} [userType] - Name of the user-defined alias type, when the column has one
+ * @property {boolean} nullable
+ * @property {boolean} identity
+ * @property {boolean} computed
+ * @property {EvidenceType} evidenceType
+ * @property {TypeFidelity} typeFidelity - INFERRED when Evidence would have to guess the type from the values
+ */
+
+/**
+ * @typedef {Object} DiscoveredForeignKey
+ * @property {string} name
+ * @property {string[]} columns
+ * @property {string} referencedSchema
+ * @property {string} referencedTable
+ * @property {string[]} referencedColumns
+ */
+
+/**
+ * @typedef {Object} DiscoveredTable
+ * @property {string} schema
+ * @property {string} name
+ * @property {'table' | 'view'} type
+ * @property {number | undefined} rowCount - Estimate from the partition statistics; undefined for views
+ * @property {string[]} primaryKey - Key columns in key order, empty when there is none
+ * @property {DiscoveredForeignKey[]} foreignKeys
+ * @property {DiscoveredColumn[]} columns
+ */
+
+/**
+ * @typedef {Object} DatabaseSchema
+ * @property {string} database
+ * @property {string[]} schemas - Every user schema, including empty ones
+ * @property {DiscoveredTable[]} tables
+ */
+
+/**
+ * @typedef {Object} DiscoveryOptions
+ * @property {string[]} [include] - `schema.table` names or glob patterns to describe, defaults to all
+ * @property {string[]} [exclude] - Patterns to leave out
+ * @property {boolean} [includeViews] - Defaults to true
+ */
+
+/**
+ * Catalog queries, run as one batch. Each returns rows for every user table and view; they are
+ * filtered afterwards, as the patterns can't be expressed in SQL.
+ */
+const DISCOVERY_QUERY = `
+SELECT s.name AS schema_name
+FROM sys.schemas s
+WHERE s.schema_id < 16384 AND s.name NOT IN ('sys', 'INFORMATION_SCHEMA', 'guest')
+ORDER BY s.name;
+
+SELECT o.object_id, s.name AS schema_name, o.name AS table_name, o.type,
+	(SELECT SUM(p.rows) FROM sys.partitions p WHERE p.object_id = o.object_id AND p.index_id IN (0, 1)) AS row_count
+FROM sys.objects o
+JOIN sys.schemas s ON s.schema_id = o.schema_id
+WHERE o.type IN ('U', 'V') AND o.is_ms_shipped = 0
+ORDER BY s.name, o.name;
+
+SELECT c.object_id, c.column_id, c.name, c.max_length, c.precision, c.scale, c.is_nullable, c.is_identity, c.is_computed,
+	CASE WHEN t.is_assembly_type = 1 THEN t.name ELSE TYPE_NAME(c.system_type_id) END AS type_name,
+	CASE WHEN t.is_user_defined = 1 AND t.is_assembly_type = 0 THEN t.name END AS user_type
+FROM sys.columns c
+JOIN sys.types t ON t.user_type_id = c.user_type_id
+JOIN sys.objects o ON o.object_id = c.object_id
+WHERE o.type IN ('U', 'V') AND o.is_ms_shipped = 0
+ORDER BY c.object_id, c.column_id;
+
+SELECT i.object_id, c.name AS column_name
+FROM sys.indexes i
+JOIN sys.index_columns ic ON ic.object_id = i.object_id AND ic.index_id = i.index_id
+JOIN sys.columns c ON c.object_id = ic.object_id AND c.column_id = ic.column_id
+WHERE i.is_primary_key = 1
+ORDER BY i.object_id, ic.key_ordinal;
+
+SELECT fk.parent_object_id AS object_id, fk.name AS key_name, pc.name AS column_name,
+	rs.name AS referenced_schema, ro.name AS referenced_table, rc.name AS referenced_column
+FROM sys.foreign_keys fk
+JOIN sys.foreign_key_columns fkc ON fkc.constraint_object_id = fk.object_id
+JOIN sys.columns pc ON pc.object_id = fkc.parent_object_id AND pc.column_id = fkc.parent_column_id
+JOIN sys.objects ro ON ro.object_id = fkc.referenced_object_id
+JOIN sys.schemas rs ON rs.schema_id = ro.schema_id
+JOIN sys.columns rc ON rc.object_id = fkc.referenced_object_id AND rc.column_id = fkc.referenced_column_id
+ORDER BY fk.parent_object_id, fk.name, fkc.constraint_column_id;
+`;
+
+/**
+ * Write a column's type the way it would be declared
+ * @param {{ type_name: string, max_length: number, precision: number, scale: number }} column
+ * @returns {string}
+ */
+const formatSqlType = ({ type_name: type, max_length: maxLength, precision, scale }) => {
+	switch (type) {
+		case 'char':
+		case 'varchar':
+		case 'binary':
+		case 'varbinary':
+			return `${type}(${maxLength === -1 ? 'max' : maxLength})`;
+		case 'nchar':
+		case 'nvarchar':
+			// max_length is in bytes, two per character
+			return `${type}(${maxLength === -1 ? 'max' : maxLength / 2})`;
+		case 'decimal':
+		case 'numeric':
+			return `${type}(${precision},${scale})`;
+		case 'datetime2':
+		case 'datetimeoffset':
+		case 'time':
+			return `${type}(${scale})`;
+		default:
+			return type;
+	}
+};
+
+/**
+ * Group rows by their object_id
+ * @template {{ object_id: number }} T
+ * @param {T[]} rows
+ * @returns {Map<number, T[]>}
+ */
+const groupByObject = (rows) => {
+	const groups = new Map();
+	for (const row of rows) {
+		if (!groups.has(row.object_id)) groups.set(row.object_id, []);
+		groups.get(row.object_id).push(row);
+	}
+	return groups;
+};
+
+/**
+ * Describe the schemas, tables, views and columns of the connected database from the `sys.*`
+ * catalog views, with the Evidence type each column would be extracted as
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {(type: import('mssql').ISqlType | (() => import('mssql').ISqlType)) => EvidenceType | undefined} toEvidenceType
+ * @param {DiscoveryOptions} [options]
+ * @returns {Promise<DatabaseSchema>}
+ */
+const discoverSchema = async (pool, toEvidenceType, { include = [], exclude = [], includeViews = true } = {}) => {
+	const includes = include.map((pattern) => buildMatcher(pattern));
+	const excludes = exclude.map((pattern) => buildMatcher(pattern));
+	const { recordsets } = await pool.request().query(DISCOVERY_QUERY);
+	const [schemaRows, objectRows, columnRows, keyRows, foreignKeyRows] = /** @type {any[][]} */ (/** @type {unknown} */ (recordsets));
+
+	const columns = groupByObject(columnRows);
+	const keys = groupByObject(keyRows);
+	const foreignKeys = groupByObject(foreignKeyRows);
+
+	/** @type {DiscoveredTable[]} */
+	const tables = [];
+	for (const object of objectRows) {
+		const { schema_name: schema, table_name: name } = object;
+		if (object.type.trim() === 'V' && !includeViews) continue;
+		if (includes.length && !includes.some((matches) => matches(schema, name))) continue;
+		if (excludes.some((matches) => matches(schema, name))) continue;
+
+		/** @type {Map<string, DiscoveredForeignKey>} */
+		const tableForeignKeys = new Map();
+		for (const row of foreignKeys.get(object.object_id) ?? []) {
+			if (!tableForeignKeys.has(row.key_name)) {
+				tableForeignKeys.set(row.key_name, {
+					name: row.key_name,
+					columns: [],
+					referencedSchema: row.referenced_schema,
+					referencedTable: row.referenced_table,
+					referencedColumns: []
+				});
+			}
+			const foreignKey = /** @type {DiscoveredForeignKey} */ (tableForeignKeys.get(row.key_name));
+			foreignKey.columns.push(row.column_name);
+			foreignKey.referencedColumns.push(row.referenced_column);
+		}
+
+		tables.push({
+			schema,
+			name,
+			type: object.type.trim() === 'V' ? 'view' : 'table',
+			rowCount: object.row_count === null || object.type.trim() === 'V' ? undefined : Number(object.row_count),
+			primaryKey: (keys.get(object.object_id) ?? []).map((row) => row.column_name),
+			foreignKeys: Array.from(tableForeignKeys.values()),
+			columns: (columns.get(object.object_id) ?? []).map((column) => {
+				const sqlType = SYSTEM_TYPES[column.type_name];
+				const evidenceType = sqlType && toEvidenceType(sqlType);
+				return {
+					name: column.name,
+					position: column.column_id,
+					sqlType: formatSqlType(column),
+					userType: column.user_type ?? undefined,
+					nullable: column.is_nullable,
+					identity: column.is_identity,
+					computed: column.is_computed,
+					evidenceType: evidenceType ?? EvidenceType.STRING,
+					typeFidelity: evidenceType ? TypeFidelity.PRECISE : TypeFidelity.INFERRED
+				};
+			})
+		});
+	}
+
+	return {
+		database: pool.config.database,
+		schemas: schemaRows.map((row) => row.schema_name),
+		tables
+	};
+};
+
+/**
+ * A starting point for a query file that extracts a discovered table, listing its columns
+ * and noting the ones whose type Evidence would have to infer
+ * @param {DiscoveredTable} table
+ * @returns {{ name: string, query: string }} Suggested file name, without `.sql`, and its content
+ */
+const starterQuery = (table) => {
+	const header = [`-- ${table.type === 'view' ? 'View' : 'Table'} ${table.schema}.${table.name}`];
+	if (table.rowCount !== undefined) header.push(`-- About ${table.rowCount} rows`);
+	if (table.primaryKey.length === 1) header.push(`-- @resume_key ${table.primaryKey[0]}`);
+	const inferred = table.columns.filter((column) => column.typeFidelity === TypeFidelity.INFERRED);
+	if (inferred.length) {
+		header.push(`-- Types inferred from values: ${inferred.map((column) => `${column.name} (${column.sqlType})`).join(', ')}`);
+	}
+	const selectList = table.columns.map((column) => `\t${quoteIdentifier(column.name)}`).join(',\n');
+	return {
+		name: defaultTableName(table.schema, table.name),
+		query: `${header.join('\n')}\nSELECT\n${selectList}\nFROM ${quoteIdentifier(table.schema)}.${quoteIdentifier(table.name)}\n`
+	};
+};
+
+module.exports = {
+	SYSTEM_TYPES,
+	discoverSchema,
+	starterQuery
+};
@@ -0,0 +1,284 @@
+/**
+ * mssql error codes for failures that are likely to pass on their own
+ * - tedious.github.io/tedious/api-connection.html, ConnectionError and RequestError codes
+ */
+const RETRYABLE_ERROR_CODES = [
+	'ETIMEOUT', // Connection or request timeout
+	'ESOCKET', // Socket error, e.g. the connection was reset
+	'ECONNCLOSED', // Connection closed while in use
+	'ECONNRESET',
+	'ECONNREFUSED'
+];
+
+/**
+ * SQL Server error numbers for transient failures
+ * - learn.microsoft.com/azure/azure-sql/database/troubleshoot-common-errors-issues
+ */
+const RETRYABLE_SQL_ERRORS = [
+	1205, // Chosen as deadlock victim
+	40613, // Database not currently available, e.g. during failover
+	40501, // Service busy
+	40197, // Service error processing the request, e.g. during an upgrade
+	40540, // Service error processing the request
+	10928, // Resource limit reached
+	10929, // Resource limit reached
+	49918, // Not enough resources to process the request
+	49919, // Too many create or update operations in progress
+	49920, // Too many operations in progress
+	4221, // Login to a read replica timed out
+	233, // Connection closed by the server
+	64, // Connection lost
+	10053, // Transport-level error
+	10054, // Connection reset by peer
+	10060 // Network timeout
+];
+
+/**
+ * Every SQL Server error number attached to an mssql error, including the errors raised before it
+ * @param {any} err
+ * @returns {number[]}
+ */
+const sqlErrorNumbers = (err) =>
+	[err, err?.originalError, ...(err?.precedingErrors ?? [])]
+		.map((e) => e?.number ?? e?.info?.number)
+		.filter((number) => typeof number === 'number');
+
+/**
+ * Whether an error is transient, so the same work may succeed if tried again
+ * @param {any} err
+ * @returns {boolean}
+ */
+const isRetryableError = (err) => {
+	const codes = [err?.code, err?.originalError?.code, err?.cause?.code];
+	if (codes.some((code) => RETRYABLE_ERROR_CODES.includes(code))) return true;
+	return sqlErrorNumbers(err).some((number) => RETRYABLE_SQL_ERRORS.includes(number));
+};
+
+/** Connection error codes for a server that could not be reached at all */
+const UNREACHABLE_ERROR_CODES = ['ESOCKET', 'ETIMEOUT', 'EINSTLOOKUP', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND'];
+
+/**
+ * SQL Server error numbers for a server that was reached but can't serve the database, as it
+ * is the mirror or a secondary replica
+ */
+const NOT_PRIMARY_SQL_ERRORS = [
+	954, // The database is acting as a mirror
+	955, // The database is a mirror in transition
+	976, // The database is an availability replica that is not readable
+	978, // The secondary replica only allows read-only connections
+	983 // The availability replica is not in the primary or secondary role
+];
+
+/**
+ * Whether a failed connection should be tried again on the failover partner
+ * @param {any} err
+ * @returns {boolean}
+ */
+const isFailoverError = (err) => {
+	const codes = [err?.code, err?.originalError?.code, err?.cause?.code];
+	if (codes.some((code) => UNREACHABLE_ERROR_CODES.includes(code))) return true;
+	return sqlErrorNumbers(err).some((number) => NOT_PRIMARY_SQL_ERRORS.includes(number));
+};
+
+/**
+ * Kinds of failure, each with a hint on how to fix it
+ * - learn.microsoft.com/sql/relational-databases/errors-events/database-engine-events-and-errors
+ */
+const ERROR_CATEGORIES = {
+	auth: {
+		numbers: [18456, 18452, 18470, 18486, 18487, 18488, 33155, 33156, 33157],
+		codes: ['ELOGIN', 'EFEDAUTH'],
+		hint: 'Check the credentials for the selected authentication type. Entra tokens expire after about an hour, and Entra identities need a user in the database (CREATE USER [name] FROM EXTERNAL PROVIDER)'
+	},
+	network: {
+		numbers: [40615, 40532, 233, 64, 10053, 10054, 10060, 11001],
+		codes: ['ESOCKET', 'ECONNCLOSED', 'ECONNRESET', 'ECONNREFUSED', 'EINSTLOOKUP', 'ENOTFOUND'],
+		hint: 'Check the host and port are reachable from this machine. Azure SQL only accepts clients allowed by its firewall rules, and SQL Server needs TCP/IP enabled on the port'
+	},
+	permission: {
+		numbers: [229, 230, 262, 297, 300, 916, 4060, 15247],
+		codes: [],
+		hint: 'The login lacks a permission it needs, e.g. SELECT on the objects queried, CONNECT to the database, or SHOWPLAN for estimated row counts'
+	},
+	syntax: {
+		numbers: [102, 105, 137, 156, 170, 207, 208, 209, 4104, 8120, 1038, 319, 321],
+		codes: [],
+		hint: 'Check the SQL at the reported line. Queries are run as written, so object names may need their schema and the SQL must be valid T-SQL'
+	},
+	timeout: {
+		numbers: [-2],
+		codes: ['ETIMEOUT'],
+		hint: 'Raise request_timeout or connection_timeout (in milliseconds), or make the query faster'
+	}
+};
+
+/** More specific hints for authentication failures, by authentication type */
+const AUTHENTICATION_HINTS = {
+	default: 'Check the user name and password, and that the server allows SQL Server authentication',
+	ntlm: 'Check the domain, user name and password. The server must accept Windows authentication, and NTLM must not be disabled by domain policy',
+	'azure-active-directory-default':
+		'No usable Entra credential was found. Sign in with az login, or set AZURE_CLIENT_ID and AZURE_TENANT_ID with a secret, certificate or federated token',
+	'azure-active-directory-access-token': 'The access token is invalid or has expired; tokens for https://database.windows.net/ last about an hour',
+	'azure-active-directory-password': "Check the user, password, client ID and tenant ID. Accounts that require MFA can't use password authentication",
+	'azure-active-directory-service-principal-secret':
+		'Check the client ID, secret and tenant ID, that the secret has not expired, and that the service principal has a user in the database',
+	'azure-active-directory-service-principal-certificate':
+		'Check the client ID and tenant ID, that the certificate has been uploaded to the app registration and has not expired, and that the service principal has a user in the database',
+	'azure-active-directory-workload-identity':
+		"Check the client ID and tenant ID, that the app has a federated credential whose issuer and subject match the token file's, and that the identity has a user in the database",
+	'azure-active-directory-msi-vm':
+		'Managed identity only works on an Azure VM with an identity assigned. For a user-assigned identity set its client ID, and give the identity a user in the database (CREATE USER [name] FROM EXTERNAL PROVIDER)',
+	'azure-active-directory-msi-app-service':
+		'Managed identity only works in App Service or Azure Functions with an identity assigned. For a user-assigned identity set its client ID, and give the identity a user in the database (CREATE USER [name] FROM EXTERNAL PROVIDER)'
+};
+
+/**
+ * @param {any} err
+ * @returns {keyof typeof ERROR_CATEGORIES | undefined}
+ */
+const categorize = (err) => {
+	const numbers = sqlErrorNumbers(err);
+	const code = err?.code ?? err?.originalError?.code;
+	const message = String(err?.message ?? '');
+	// Login errors are reported with the generic ELOGIN code, look at the number or message first
+	if (/is not allowed to access the server/i.test(message)) return 'network';
+	if (/AADSTS\d+|token is expired|expired token|access token expired|ManagedIdentityCredential|ClientAssertionCredential|WorkloadIdentityCredential|CredentialUnavailable/i.test(message)) return 'auth';
+	for (const [category, { numbers: categoryNumbers }] of Object.entries(ERROR_CATEGORIES)) {
+		if (numbers.some((number) => categoryNumbers.includes(number))) return /** @type {any} */ (category);
+	}
+	// A connection that times out has a network problem, a request that times out is slow
+	if (code === 'ETIMEOUT' && err?.name === 'ConnectionError') return 'network';
+	for (const [category, { codes }] of Object.entries(ERROR_CATEGORIES)) {
+		if (codes.includes(code)) return /** @type {any} */ (category);
+	}
+	return undefined;
+};
+
+/**
+ * An error from SQL Server or the connection to it, with the details mssql reports and, where
+ * possible, the place in the query file it refers to
+ */
+class QueryError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {Object} details
+	 * @param {unknown} details.cause
+	 * @param {string} [details.code] - mssql error code, e.g. ELOGIN, EREQUEST
+	 * @param {number} [details.number] - SQL Server error number
+	 * @param {number} [details.state]
+	 * @param {number} [details.class] - Severity
+	 * @param {number} [details.lineNumber] - Line in the batch or procedure, as reported
+	 * @param {string} [details.procName]
+	 * @param {Array<{ number?: number, message: string, lineNumber?: number }>} [details.precedingErrors]
+	 * @param {string} [details.path] - Query file the error refers to
+	 * @param {number} [details.line] - Line in the query file
+	 * @param {keyof typeof ERROR_CATEGORIES} [details.category]
+	 * @param {string} [details.hint]
+	 */
+	constructor(message, details) {
+		super(message, { cause: details.cause });
+		this.name = 'QueryError';
+		this.code = details.code;
+		this.number = details.number;
+		this.state = details.state;
+		this.class = details.class;
+		this.lineNumber = details.lineNumber;
+		this.procName = details.procName;
+		this.precedingErrors = details.precedingErrors ?? [];
+		this.path = details.path;
+		this.line = details.line;
+		this.category = details.category;
+		this.hint = details.hint;
+	}
+}
+
+/**
+ * Map a line of the SQL sent to the server back to the query as written. Queries are sent
+ * trimmed and sometimes wrapped in a subquery, which shifts their lines.
+ * @param {number} lineNumber
+ * @param {string} sent
+ * @param {string} original
+ * @returns {number | undefined} undefined when the line is not part of the original query
+ */
+const mapLine = (lineNumber, sent, original) => {
+	const firstLine = original.trim().split(/\r?\n/)[0];
+	const sentAt = sent.indexOf(firstLine);
+	const originalAt = original.indexOf(firstLine);
+	if (!firstLine || sentAt === -1) return undefined;
+	const countLines = (/** @type {string} */ text) => text.split('\n').length - 1;
+	const line = lineNumber - countLines(sent.slice(0, sentAt)) + countLines(original.slice(0, originalAt));
+	return line >= 1 && line <= countLines(original) + 1 ? line : undefined;
+};
+
+/**
+ * @typedef {Object} ErrorContext
+ * @property {string} [sent] - SQL sent to the server
+ * @property {string} [query] - The query as written in its file
+ * @property {string} [path] - Path of the query file
+ * @property {string} [authenticationType] - Picks a more specific hint for authentication failures
+ */
+
+/**
+ * Turn any error raised while running a query into a QueryError with a single line message
+ * that says what failed, where, and what to try
+ * @param {unknown} err
+ * @param {ErrorContext} [context]
+ * @returns {QueryError}
+ */
+const describeError = (err, { sent, query, path, authenticationType } = {}) => {
+	if (err instanceof QueryError) return err;
+	/** @type {any} */
+	const e = typeof err === 'string' ? new Error(err) : err;
+	const info = e?.originalError?.info ?? {};
+	const number = e?.number ?? info.number;
+	const lineNumber = e?.lineNumber ?? info.lineNumber;
+	const procName = e?.procName || info.procName || undefined;
+	const category = categorize(e);
+	const hint =
+		category === 'auth' && authenticationType && AUTHENTICATION_HINTS[authenticationType]
+			? AUTHENTICATION_HINTS[authenticationType]
+			: category && ERROR_CATEGORIES[category].hint;
+	const line = lineNumber && !procName && sent && query ? mapLine(lineNumber, sent, query) : undefined;
+	const precedingErrors = (e?.precedingErrors ?? []).map((/** @type {any} */ preceding) => ({
+		number: preceding.number,
+		message: preceding.message,
+		lineNumber: preceding.lineNumber
+	}));
+
+	const details = [];
+	if (typeof number === 'number') details.push(`SQL Server error ${number}`);
+	if (e?.state !== undefined) details.push(`state ${e.state}`);
+	if (e?.class !== undefined) details.push(`class ${e.class}`);
+	if (procName) details.push(`line ${lineNumber} of procedure ${procName}`);
+	else if (line && path) details.push(`line ${line} of ${path}`);
+	else if (line) details.push(`line ${line}`);
+	else if (lineNumber) details.push(`line ${lineNumber} of the SQL sent`);
+
+	let message = String(e?.message ?? e ?? 'Unknown error');
+	if (details.length) message += ` (${details.join(', ')})`;
+	if (precedingErrors.length) message += `. Preceded by: ${precedingErrors.map((p) => p.message).join('; ')}`;
+	if (hint) message += `. ${hint}`;
+
+	return new QueryError(message.replace(/\n|\r/g, ' '), {
+		cause: err,
+		code: e?.code,
+		number,
+		state: e?.state,
+		class: e?.class,
+		lineNumber,
+		procName,
+		precedingErrors,
+		path,
+		line,
+		category,
+		hint
+	});
+};
+
+module.exports = {
+	QueryError,
+	describeError,
+	isFailoverError,
+	isRetryableError,
+	sqlErrorNumbers
+};
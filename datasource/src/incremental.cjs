@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { cleanQuery, exhaustStream } = require('@evidence-dev/db-commons');
+const mssql = require('mssql');
+const {
+	resolveStateDirectory,
+	stateKey,
+	readState,
+	writeState,
+	snapshotPath,
+	readSnapshot,
+	createSnapshotWriter
+} = require('./state.cjs');
+const { quoteIdentifier } = require('./tables.cjs');
+const { isSafeToWrap } = require('./row-count.cjs');
+const { findColumn } = require('./columns.cjs');
+
+// 2: bigint and datetimeoffset values are saved in the exact formats below
+const STATE_VERSION = 2;
+
+/**
+ * Value formats of watermark queries, whatever the source's: bigint watermarks as exact strings,
+ * and datetimeoffset ones as dates, which compare by instant where their text would not
+ */
+const WATERMARK_FORMATS = { bigint_format: 'string', datetimeoffset_format: 'utc' };
+
+/**
+ * @typedef {Object} Watermark
+ * @property {string} column
+ * @property {string} type - Key of `mssql.TYPES` for the column
+ * @property {number} [length]
+ * @property {number} [precision]
+ * @property {number} [scale]
+ * @property {unknown} value - Highest value extracted so far, JSON encoded
+ */
+
+/**
+ * @typedef {Object} IncrementalSpec
+ * @property {string} name - Evidence table name, identifies the saved state
+ * @property {string} watermark - Column whose values only increase as rows are added or changed
+ * @property {string} [uniqueKey] - Comma separated key columns; changed rows replace their previous version
+ * @property {{ path?: string, query?: string }} [source] - The query file, to point errors at it
+ */
+
+/**
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+const encodeValue = (value) => {
+	if (value instanceof Date) return { $date: value.toISOString() };
+	if (Buffer.isBuffer(value)) return { $buffer: value.toString('base64') };
+	return value;
+};
+
+/**
+ * @param {any} value
+ * @returns {unknown}
+ */
+const decodeValue = (value) => {
+	if (value && typeof value.$date === 'string') return new Date(value.$date);
+	if (value && typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+	return value;
+};
+
+/**
+ * Compare two watermark values in the order SQL Server would
+ * @param {any} a
+ * @param {any} b
+ * @param {string} type
+ * @returns {number}
+ */
+const compareWatermarks = (a, b, type) => {
+	if (a instanceof Date) return a.getTime() - b.getTime();
+	if (Buffer.isBuffer(a)) return Buffer.compare(a, b);
+	// Watermark queries read bigint values as strings, which keep their precision
+	if (type === 'BigInt') {
+		const diff = BigInt(a) - BigInt(b);
+		return diff > 0n ? 1 : diff < 0n ? -1 : 0;
+	}
+	return a > b ? 1 : a < b ? -1 : 0;
+};
+
+/**
+ * Type to bind the watermark parameter with, matching the column it is compared against.
+ * Also used for the key a query resumes from after a failure.
+ * @param {Watermark} watermark
+ * @returns {mssql.ISqlType}
+ */
+const watermarkSqlType = ({ type, length, precision, scale }) => {
+	const factory = mssql.TYPES[type];
+	switch (type) {
+		case 'VarChar':
+		case 'NVarChar':
+		case 'Char':
+		case 'NChar':
+		case 'Binary':
+		case 'VarBinary':
+			return factory(length);
+		case 'Decimal':
+		case 'Numeric':
+			return factory(precision, scale);
+		case 'DateTime2':
+		case 'DateTimeOffset':
+		case 'Time':
+			return factory(scale);
+		default:
+			return factory();
+	}
+};
+
+/**
+ * Run a query incrementally: only rows with a watermark above the one saved by the previous
+ * build are fetched, and merged with the rows saved from earlier builds.
+ *
+ * Set the `full_refresh` option to discard the saved state and fetch everything again.
+ *
+ * @param {import('@evidence-dev/db-commons').RunQuery<any>} runQuery
+ * @param {string} queryString
+ * @param {Record<string, any>} database
+ * @param {number} batchSize
+ * @param {IncrementalSpec} spec
+ * @returns {Promise<import('@evidence-dev/db-commons').QueryResult>}
+ */
+const runIncrementalQuery = async (runQuery, queryString, database, batchSize, spec) => {
+	if (!isSafeToWrap(queryString)) {
+		throw new Error(`${spec.name} has a watermark, so it must be a single SELECT that can be used as a subquery (no CTEs, batches, procedure calls or ORDER BY without TOP)`);
+	}
+
+	const directory = resolveStateDirectory(database);
+	const key = stateKey(database, spec.name);
+	const queryHash = crypto.createHash('sha256').update(queryString).digest('hex');
+	const keyColumns = (spec.uniqueKey ?? '')
+		.split(',')
+		.map((column) => column.trim())
+		.filter(Boolean);
+
+	let state = null;
+	if (database.full_refresh === true || database.full_refresh === 'true') {
+		console.log(`${spec.name}: full refresh requested`);
+	} else {
+		state = await readState(directory, key);
+		if (state && (state.version !== STATE_VERSION || state.query !== queryHash || state.watermark?.column !== spec.watermark)) {
+			console.log(`${spec.name}: query changed since the last incremental extract, fetching all rows`);
+			state = null;
+		}
+	}
+
+	const formatted = { ...database, ...WATERMARK_FORMATS };
+	const fetch = async (/** @type {Watermark | null} */ since) => {
+		/** @type {mssql.IColumnMetadata | null} */
+		let columns = null;
+		const onColumns = (/** @type {mssql.IColumnMetadata} */ c) => (columns = c);
+		if (since?.value === undefined || since.value === null) {
+			const result = await runQuery(queryString, formatted, batchSize, { onColumns, source: spec.source });
+			return { result, columns };
+		}
+		const query = `SELECT * FROM (\n${cleanQuery(queryString)}) AS incremental_source WHERE ${quoteIdentifier(spec.watermark)} > @watermark`;
+		const inputs = [{ name: 'watermark', type: watermarkSqlType(since), value: decodeValue(since.value) }];
+		const result = await runQuery(query, formatted, batchSize, { inputs, onColumns, source: spec.source });
+		return { result, columns };
+	};
+
+	let { result: delta, columns } = await fetch(state?.watermark ?? null);
+
+	const columnNames = delta.columnTypes.map((column) => column.name);
+	if (state && columnNames.join('\n') !== state.columns.join('\n')) {
+		console.log(`${spec.name}: columns changed since the last incremental extract, fetching all rows`);
+		await exhaustStream(delta);
+		state = null;
+		({ result: delta, columns } = await fetch(null));
+	}
+
+	// Directives name columns as in the SQL, the rows may have them under other names
+	const column = findColumn(columns, spec.watermark);
+	if (!column) {
+		await exhaustStream(delta);
+		throw new Error(`Watermark column ${spec.watermark} is not in the result of ${spec.name}`);
+	}
+	/** @type {string[]} */
+	const keyNames = [];
+	for (const keyColumn of keyColumns) {
+		const found = findColumn(columns, keyColumn);
+		if (!found) {
+			await exhaustStream(delta);
+			throw new Error(`Unique key column ${keyColumn} is not in the result of ${spec.name}`);
+		}
+		keyNames.push(found.name);
+	}
+
+	const type = Object.keys(mssql.TYPES).find((name) => mssql.TYPES[name] === column.type) ?? 'NVarChar';
+	/** @type {Watermark} */
+	const watermark = state?.watermark ?? {
+		column: spec.watermark,
+		type,
+		length: column.length,
+		precision: column.precision,
+		scale: column.scale,
+		value: null
+	};
+	const previousRows = state?.rowCount ?? 0;
+	const snapshot = snapshotPath(directory, key);
+
+	const rows = async function* () {
+		const writer = await createSnapshotWriter(snapshot);
+		let high = decodeValue(watermark.value);
+		let rowCount = 0;
+		let committed = false;
+
+		/** @param {Record<string, unknown>} row */
+		const track = async (row) => {
+			let value = row[column.name];
+			// Binary watermarks such as rowversion arrive encoded as text, compare them as bytes
+			if (typeof value === 'string' && (type === 'Binary' || type === 'VarBinary')) {
+				value = Buffer.from(value, database.binary_format === 'base64' ? 'base64' : 'hex');
+			}
+			if (value !== null && value !== undefined && (high === null || high === undefined || compareWatermarks(value, high, type) > 0)) {
+				high = value;
+			}
+			rowCount++;
+			await writer.write(row);
+		};
+		/** @param {Record<string, unknown>} row */
+		const rowKey = (row) => JSON.stringify(keyNames.map((k) => encodeValue(row[k])));
+
+		try {
+			if (keyColumns.length && state) {
+				// Changed rows replace their earlier version, so the delta has to be known up front
+				/** @type {Map<string, Record<string, unknown>>} */
+				const changed = new Map();
+				for await (const deltaBatch of delta.rows()) {
+					for (const row of deltaBatch) changed.set(rowKey(row), row);
+				}
+
+				let batch = [];
+				for await (const row of readSnapshot(snapshot)) {
+					if (changed.has(rowKey(row))) continue;
+					await track(row);
+					batch.push(row);
+					if (batch.length >= batchSize) {
+						yield batch;
+						batch = [];
+					}
+				}
+				for (const row of changed.values()) {
+					await track(row);
+					batch.push(row);
+					if (batch.length >= batchSize) {
+						yield batch;
+						batch = [];
+					}
+				}
+				if (batch.length) yield batch;
+			} else {
+				// Without saved rows to merge into, or a key to merge by, the rows stream straight through
+				let batch = [];
+				if (state) {
+					for await (const row of readSnapshot(snapshot)) {
+						await track(row);
+						batch.push(row);
+						if (batch.length >= batchSize) {
+							yield batch;
+							batch = [];
+						}
+					}
+				}
+				if (batch.length) yield batch;
+				for await (const deltaBatch of delta.rows()) {
+					for (const row of deltaBatch) await track(row);
+					yield deltaBatch;
+				}
+			}
+
+			await writer.commit();
+			committed = true;
+			await writeState(directory, key, {
+				version: STATE_VERSION,
+				name: spec.name,
+				query: queryHash,
+				columns: columnNames,
+				watermark: { ...watermark, value: encodeValue(high ?? null) },
+				rowCount,
+				updatedAt: new Date().toISOString()
+			});
+		} finally {
+			// Leave the previous snapshot in place if the extract did not complete
+			if (!committed) await writer.abort();
+		}
+	};
+
+	return {
+		rows,
+		columnTypes: delta.columnTypes,
+		// Changed rows replace saved ones rather than adding to them, and which do isn't known yet
+		expectedRowCount: delta.expectedRowCount === undefined || (keyColumns.length && state) ? undefined : previousRows + delta.expectedRowCount
+	};
+};
+
+module.exports = {
+	runIncrementalQuery,
+	watermarkSqlType
+};
@@ -6,65 +6,64 @@ const {
 	exhaustStream
 } = require('@evidence-dev/db-commons');
 const mssql = require('mssql');
+const { acquirePool } = require('./pools.cjs');
+const { resolvePoolSettings, withQueryLimiter, acquireQuerySlot, lookaheadFor, runAhead } = require('./concurrency.cjs');
+const { withTimeBudget, assertWithinBudget, trackQuery, sendTracked } = require('./cancellation.cjs');
+const { validateQuery } = require('./validation.cjs');
+const { diagnoseConnection } = require('./diagnostics.cjs');
+const { hasTableList, resolveSourceTables, quoteIdentifier } = require('./tables.cjs');
+const { parseDirectives, parseQueryOverrides, warnUnknownDirectives } = require('./directives.cjs');
+const { runIncrementalQuery, watermarkSqlType } = require('./incremental.cjs');
+const { runChangeQuery } = require('./changes.cjs');
+const { ROW_COUNT_STRATEGIES, getExpectedRowCount, isSafeToWrap, hasOrderBy } = require('./row-count.cjs');
+const { VALUE_FORMAT_CHOICES, resolveValueFormats, createRowStandardizer, offsetSelectList } = require('./values.cjs');
+const { resolveQueryParameters, declareSqlType } = require('./parameters.cjs');
+const { parseProcedureCall } = require('./procedures.cjs');
+const { readRecordsets, resultSetNames } = require('./recordsets.cjs');
+const { COLUMN_NAME_STYLES, resolveColumnNameStyle, describeRenames, findColumn } = require('./columns.cjs');
+const {
+	CONSISTENCY_MODES,
+	SNAPSHOT_TIME_PARAMETER,
+	resolveConsistency,
+	beginSnapshot,
+	endSnapshot,
+	withSnapshot,
+	snapshotOf,
+	snapshotInputs,
+	readsAtSnapshot,
+	snapshotMetadata,
+	assertSnapshotUsable
+} = require('./consistency.cjs');
+const { retry, resumeOnFailure } = require('./retry.cjs');
+const { describeError } = require('./errors.cjs');
+const { discoverSchema, starterQuery } = require('./discovery.cjs');
+const { createQueryCache } = require('./cache.cjs');
+const { isReadOnly, isWriteAllowed, assertReadOnly } = require('./readonly.cjs');
+const { resolveConnectionOptions } = require('./connection-string.cjs');
+const { certificateCredential, workloadIdentityCredential, tokenExpiry } = require('./credentials.cjs');
 
 /**
- * Retry an async function with exponential backoff
- * @param {Function} fn - The async function to retry
- * @param {Object} options - Retry options
- * @param {number} options.retries - Max number of retries (default: 3)
- * @param {number} options.delay - Initial delay in ms (default: 1000)
- * @param {number} options.backoffFactor - Multiplier for exponential backoff (default: 2)
- * @param {string[]} options.retryableErrors - Error messages or codes to retry on
- * @returns {Promise<any>} - Result of the function
+ * Default of each option that has one, as Evidence fills them in
+ * @returns {Record<string, unknown>}
  */
-async function retry(fn, { retries = 3, delay = 1000, backoffFactor = 2, retryableErrors = [] } = {}) {
-	let lastError;
-	for (let attempt = 1; attempt <= retries + 1; attempt++) {
-		try {
-			return await fn();
-		} catch (err) {
-			// Normalise error
-			if (!(err instanceof Error)) {
-				if (typeof err === 'string') {
-					err = new Error(err);
-				} else if (err && typeof err.toString === 'function') {
-					err = new Error(err.toString());
-				} else {
-					err = new Error('Unknown error');
-				}
-			}
-
-			lastError = err;
-			const errorMessage = err.message || err.toString();
-
-			// Check if the error is retryable
-			const isRetryable = retryableErrors.some(retryError =>
-				errorMessage.includes(retryError)
-			);
-
-			if (!isRetryable || attempt === retries + 1) {
-				throw lastError; // No more retries or non-retryable error
-			}
-
-			// Calculate delay with exponential backoff
-			const waitTime = delay * Math.pow(backoffFactor, attempt - 1);
-			console.log(`Attempt ${attempt} failed: ${errorMessage}. Retrying in ${waitTime}ms...`);
-			await new Promise(resolve => setTimeout(resolve, waitTime));
-		}
-	}
-}
+const optionDefaults = () =>
+	Object.fromEntries(
+		Object.entries(module.exports.options)
+			.filter(([, option]) => 'default' in option)
+			.map(([key, option]) => [key, option.default])
+	);
 
 /**
  *
  * @param {(() => mssql.ISqlType) | mssql.ISqlType} data_type
  * @param {undefined} defaultType
+ * @param {import('./values.cjs').ValueFormats} [formats] - How values that need converting are formatted
  * @returns {EvidenceType | undefined}
  */
-function nativeTypeToEvidenceType(data_type, defaultType = undefined) {
+function nativeTypeToEvidenceType(data_type, defaultType = undefined, formats = resolveValueFormats()) {
 	switch (data_type) {
 		case mssql.TYPES.Int:
 		case mssql.TYPES.TinyInt:
-		case mssql.TYPES.BigInt:
 		case mssql.TYPES.SmallInt:
 		case mssql.TYPES.Float:
 		case mssql.TYPES.Real:
@@ -74,9 +73,17 @@ function nativeTypeToEvidenceType(data_type, defaultType = undefined) {
 		case mssql.TYPES.Money:
 			return EvidenceType.NUMBER;
 
+		case mssql.TYPES.BigInt:
+			return formats.bigint === 'string' ? EvidenceType.STRING : EvidenceType.NUMBER;
+
+		case mssql.TYPES.Time:
+			return formats.time === 'seconds' ? EvidenceType.NUMBER : EvidenceType.STRING;
+
+		case mssql.TYPES.DateTimeOffset:
+			return formats.datetimeoffset === 'utc' ? EvidenceType.DATE : EvidenceType.STRING;
+
 		case mssql.TYPES.DateTime:
 		case mssql.TYPES.SmallDateTime:
-		case mssql.TYPES.DateTimeOffset:
 		case mssql.TYPES.Date:
 		case mssql.TYPES.DateTime2:
 			return EvidenceType.DATE;
@@ -88,21 +95,21 @@ function nativeTypeToEvidenceType(data_type, defaultType = undefined) {
 		case mssql.TYPES.Xml:
 		case mssql.TYPES.Text:
 		case mssql.TYPES.NText:
-			return EvidenceType.STRING;
-
-		case mssql.TYPES.Bit:
-			return EvidenceType.BOOLEAN;
-
-		case mssql.TYPES.Time:
 		case mssql.TYPES.UniqueIdentifier:
 		case mssql.TYPES.Binary:
 		case mssql.TYPES.VarBinary:
 		case mssql.TYPES.Image:
-		case mssql.TYPES.TVP:
 		case mssql.TYPES.UDT:
 		case mssql.TYPES.Geography:
 		case mssql.TYPES.Geometry:
+			return EvidenceType.STRING;
+
+		case mssql.TYPES.Bit:
+			return EvidenceType.BOOLEAN;
+
+		// sql_variant changes type from row to row, its values are converted to strings
 		case mssql.TYPES.Variant:
+		case mssql.TYPES.TVP:
 		default:
 			return defaultType;
 	}
@@ -111,13 +118,14 @@ function nativeTypeToEvidenceType(data_type, defaultType = undefined) {
 /**
  *
  * @param {mssql.IColumnMetadata} fields
+ * @param {import('./values.cjs').ValueFormats} [formats]
  * @returns
  */
-const mapResultsToEvidenceColumnTypes = function (fields) {
+const mapResultsToEvidenceColumnTypes = function (fields, formats) {
 	return Object.values(fields).map((field) => {
 		/** @type {TypeFidelity} */
 		let typeFidelity = TypeFidelity.PRECISE;
-		let evidenceType = nativeTypeToEvidenceType(field.type);
+		let evidenceType = nativeTypeToEvidenceType(field.type, undefined, formats);
 		if (!evidenceType) {
 			typeFidelity = TypeFidelity.INFERRED;
 			evidenceType = EvidenceType.STRING;
@@ -130,10 +138,20 @@ const mapResultsToEvidenceColumnTypes = function (fields) {
 	});
 };
 
+/** Values of the application_intent option, as in ADO.NET connection strings */
+const APPLICATION_INTENTS = ['ReadWrite', 'ReadOnly'];
+
+/** TDS protocol versions tedious can speak; 8_0 needs SQL Server 2022 or Azure SQL */
+const TDS_VERSIONS = ['7_1', '7_2', '7_3_A', '7_3_B', '7_4', '8_0'];
+
 const buildConfig = function (database) {
 	if (!database || typeof database !== 'object') {
 		throw new Error('Database configuration is required and must be an object');
 	}
+	database = resolveConnectionOptions(database, optionDefaults());
+	if (!database.server) {
+		throw new Error('No server to connect to; set server, or a connection_string with a Server keyword');
+	}
 
 	const trust_server_certificate = database.trust_server_certificate ?? 'false';
 	const encrypt = database.encrypt ?? 'true';
@@ -141,18 +159,39 @@ const buildConfig = function (database) {
 	const request_timeout = database.request_timeout ?? 30000;
 	const database_port = database.connection_port ?? 1433;
 
+	const application_intent = database.application_intent ?? 'ReadWrite';
+	const multi_subnet_failover = database.multi_subnet_failover ?? 'false';
+	const tds_version = database.tds_version || undefined;
+	if (!APPLICATION_INTENTS.includes(application_intent)) {
+		throw new Error(`Invalid application_intent "${application_intent}", expected ${APPLICATION_INTENTS.join(' or ')}`);
+	}
+	if (tds_version && !TDS_VERSIONS.includes(tds_version)) {
+		throw new Error(`Invalid tds_version "${tds_version}", expected one of ${TDS_VERSIONS.join(', ')}`);
+	}
+
 	const credentials = {
 		user: database.user,
 		server: database.server,
 		database: database.database,
 		password: database.password,
+		// Ignored by mssql when there is an instance name, SQL Browser gives the port instead
 		port: parseInt(database_port),
 		connectionTimeout: parseInt(connection_timeout),
 		requestTimeout: parseInt(request_timeout),
+		// Not an mssql option; pools.cjs connects to it when the server can't be reached
+		failoverPartner: database.failover_partner || undefined,
 		options: {
 			trustServerCertificate: trust_server_certificate === 'true' || trust_server_certificate === true,
-			encrypt: encrypt === 'true' || encrypt === true
-		}
+			// TDS 8.0 is only spoken over strict TLS, which is set up before the login
+			encrypt: tds_version === '8_0' ? 'strict' : encrypt === 'true' || encrypt === true,
+			instanceName: database.instance_name || undefined,
+			// ApplicationIntent=ReadOnly routes to a readable secondary where there is one
+			readOnlyIntent: application_intent === 'ReadOnly' || isReadOnly(database),
+			multiSubnetFailover: multi_subnet_failover === 'true' || multi_subnet_failover === true,
+			appName: database.app_name || undefined,
+			tdsVersion: tds_version === '8_0' ? undefined : tds_version
+		},
+		pool: resolvePoolSettings(database)
 	};
 
 	if (database.authenticationType === 'default') {
@@ -163,6 +202,11 @@ const buildConfig = function (database) {
 		};
 		return credentials;
 	} else if (database.authenticationType === 'azure-active-directory-access-token') {
+		// A static token can't be refreshed, so say so plainly rather than failing the login
+		const expiry = tokenExpiry(database.attoken ?? '');
+		if (expiry && expiry.getTime() <= Date.now()) {
+			throw new Error(`The access token expired at ${expiry.toISOString()}; get a new one, or use an authentication type that refreshes its tokens`);
+		}
 		credentials.authentication = {
 			type: 'azure-active-directory-access-token',
 			options: {
@@ -191,78 +235,593 @@ const buildConfig = function (database) {
 			}
 		};
 		return credentials;
+	} else if (database.authenticationType === 'ntlm') {
+		credentials.authentication = {
+			type: 'ntlm',
+			options: {
+				domain: database.ntlmdomain,
+				userName: database.ntlmuser,
+				password: database.ntlmpassword
+			}
+		};
+		return credentials;
+	} else if (database.authenticationType === 'azure-active-directory-service-principal-certificate') {
+		credentials.authentication = {
+			type: 'token-credential',
+			options: {
+				credential: certificateCredential({
+					tenantId: database.spcerttenantid,
+					clientId: database.spcertclientid,
+					certificatePath: database.spcertpath,
+					thumbprint: database.spcertthumbprint || undefined,
+					password: database.spcertpassword || undefined,
+					sendCertificateChain: database.spcertsendchain === true || database.spcertsendchain === 'true'
+				}),
+				// Ignored by tedious, but keep pools for different principals apart
+				tenantId: database.spcerttenantid,
+				clientId: database.spcertclientid,
+				certificatePath: database.spcertpath
+			}
+		};
+		return credentials;
+	} else if (database.authenticationType === 'azure-active-directory-workload-identity') {
+		const identity = {
+			tenantId: database.witenantid || undefined,
+			clientId: database.wiclientid || undefined,
+			tokenFilePath: database.witokenfile || undefined
+		};
+		credentials.authentication = {
+			type: 'token-credential',
+			options: {
+				credential: workloadIdentityCredential(identity),
+				...identity
+			}
+		};
+		return credentials;
+	} else if (database.authenticationType === 'azure-active-directory-msi-vm') {
+		credentials.authentication = {
+			type: 'azure-active-directory-msi-vm',
+			options: {
+				// Only needed for a user-assigned identity
+				clientId: database.msivmclientid || undefined
+			}
+		};
+		return credentials;
+	} else if (database.authenticationType === 'azure-active-directory-msi-app-service') {
+		credentials.authentication = {
+			type: 'azure-active-directory-msi-app-service',
+			options: {
+				clientId: database.msiappclientid || undefined
+			}
+		};
+		return credentials;
 	}
+
+	throw new Error(`Unsupported authentication type "${database.authenticationType}"`);
 };
 
-let poolPromise = null;
+/**
+ * @typedef {Object} QueryInput
+ * @property {string} name
+ * @property {mssql.ISqlType | (() => mssql.ISqlType)} type
+ * @property {unknown} value
+ */
 
-const getPool = async (config) => {
-	if (!poolPromise) {
-		poolPromise = mssql.connect(config).catch(err => {
-			poolPromise = null; // Reset on failure
-			throw err;
-		});
-	}
-	return poolPromise;
+/**
+ * @typedef {Object} QueryOutcome
+ * @property {Record<string, unknown>} output - Values of output parameters
+ * @property {number} [returnValue] - Return value of a procedure
+ * @property {number[]} rowsAffected
+ */
+
+/**
+ * @typedef {Object} RunQueryOptions
+ * @property {QueryInput[]} [inputs] - Parameters bound to the query
+ * @property {import('./procedures.cjs').ProcedureOutput[]} [outputs] - Output parameters of a procedure
+ * @property {boolean} [execute] - Run `queryString` as the name of a stored procedure
+ * @property {number} [recordset] - Result set to return, 1 for the first
+ * @property {string} [resumeKey] - Unique column to order rows by, so reading can resume after a failure
+ * @property {{ path?: string, query?: string }} [source] - The query file as written, to point errors at it
+ * @property {(columns: mssql.IColumnMetadata) => void} [onColumns] - Receives the column metadata, by the names given to the columns
+ * @property {(outcome: Promise<QueryOutcome>) => void} [onFinished] - Settles once every row has been read
+ * @property {(next: () => Promise<import("@evidence-dev/db-commons").QueryResult | null>, discard: () => void) => void} [onNextResult]
+ *   Receives a function returning the result sets after the first, each once the previous one has been read,
+ *   and one to discard those not read. Without it they are discarded.
+ */
+
+/**
+ * Give a request a timeout of its own rather than the pool's `request_timeout`, so queries with
+ * different timeouts still share a pool. mssql only takes timeouts per pool, so the timeout is set
+ * on the tedious request mssql makes for it, which happens before it is sent.
+ * @param {mssql.Request} request
+ * @param {number} timeout - Milliseconds, 0 for none
+ * @returns {mssql.Request}
+ */
+const withRequestTimeout = (request, timeout) => {
+	/** @type {any} */
+	const target = request;
+	const setCurrentRequest = target._setCurrentRequest;
+	target._setCurrentRequest = function (/** @type {any} */ current) {
+		current?.setTimeout?.(timeout);
+		return setCurrentRequest.call(this, current);
+	};
+	return request;
 };
 
-/** @type {import("@evidence-dev/db-commons").RunQuery<MsSQLOptions>} */
-const runQuery = async (queryString, database = {}, batchSize = 100000) => {
-	// Define retryable MSSQL error messages or codes
-	const retryableErrors = [
-		'ETIMEOUT',	// Connection timeout
-		'ECONNREFUSED', // Connection refused
-		'RequestError: Timeout', // Query timeout
-		'A network-related or instance-specific error occurred', // General network error
-		'Connection lost', // Connection dropped
-		'Failed to connect' // Connection timing or network error
-	];
+/**
+ * Variables the query references are bound from the source's `parameters` option, in addition
+ * to any `inputs` given here
+ * @param {string} queryString - SQL, or a procedure name when `execute` is set
+ * @param {MsSQLOptions} database
+ * @param {number} [batchSize]
+ * @param {RunQueryOptions} [options]
+ * @returns {Promise<import("@evidence-dev/db-commons").QueryResult>}
+ */
+const runQuery = async (
+	queryString,
+	database = {},
+	batchSize = 100000,
+	{ inputs = [], outputs = [], execute = false, recordset = 1, resumeKey, source = {}, onColumns, onFinished, onNextResult } = {}
+) => {
+	database = resolveConnectionOptions(database, optionDefaults());
+	const columnNameStyle = resolveColumnNameStyle(database);
+	/** @type {import('./errors.cjs').ErrorContext} */
+	const errorContext = {
+		sent: queryString,
+		query: source.query ?? queryString,
+		path: source.path,
+		authenticationType: database.authenticationType
+	};
+	/** @param {import("@evidence-dev/db-commons").QueryResult} result */
+	const describeRowErrors = (result) => ({
+		...result,
+		rows: async function* () {
+			try {
+				yield* result.rows();
+			} catch (err) {
+				throw describeError(err, errorContext);
+			}
+		}
+	});
+
+	const snapshot = snapshotOf(database);
+	const retryOptions = {
+		// A snapshot's transaction may not outlive the failure, and a retry outside it would read other data
+		retries: snapshot?.transaction ? 0 : database.retries ?? 3,	// Try 3 times (total of 4 attempts), or as many as the query's @retries
+		delay: 1000,		// Start with 1 second delay
+		backoffFactor: 2	// Exponential backoff: 1s, 2s, 4s, with jitter
+	};
+
+	/** @type {string | null | undefined} The select list that keeps datetimeoffset offsets, undefined until described */
+	let selectList = null;
 
-	const queryExecution = async () => {
+	/**
+	 * Resume key values as read, before formatting made a bigint a lossy number or a
+	 * datetimeoffset a string; by row, as rows are formatted in place
+	 * @type {WeakMap<Record<string, unknown>, unknown>}
+	 */
+	const rawKeys = new WeakMap();
+
+	/**
+	 * Connect, count and start streaming; everything up to the first row can be retried freely
+	 * @param {(selectList: string | null) => string} buildQuery - The query to send, given the select list
+	 * @param {QueryInput[]} parameters
+	 * @param {string | null} countQuery - Query to count the rows of, null to skip counting
+	 */
+	const queryExecution = async (buildQuery, parameters, countQuery) => {
 		const config = buildConfig(database);
-		const pool = await getPool(config); // Reuse pool
-
-		const cleaned_string = cleanQuery(queryString);
-		const expected_count = await pool
-			.request()
-			.query(`SELECT COUNT(*) as expected_row_count FROM (${cleaned_string}) as subquery`)
-			.catch(() => null);
-		const expected_row_count = expected_count?.recordset[0].expected_row_count;
-
-		const request = new mssql.Request(pool);
-		request.stream = true;
-		request.query(queryString);
-
-		const columns = await new Promise((res) => request.once('recordset', res));
-		const stream = request.toReadableStream();
-		const results = await asyncIterableToBatchedAsyncGenerator(stream, batchSize);
-		results.columnTypes = mapResultsToEvidenceColumnTypes(columns);
-		results.expectedRowCount = expected_row_count;
-
-		return results;
+		const description = source.path ?? 'the query';
+		assertWithinBudget(database, description);
+		// Waits while the source has max_concurrent_queries running; held, like the pool, until the rows are read
+		const releaseSlot = await acquireQuerySlot(database, source.path ?? errorContext.query);
+		/** @type {Awaited<ReturnType<typeof acquirePool>>} */
+		let lease;
+		try {
+			// The budget may have run out while waiting for a slot
+			assertWithinBudget(database, description);
+			assertSnapshotUsable(database, description);
+			// Pools are shared between queries with the same config
+			lease = await acquirePool(config);
+		} catch (err) {
+			releaseSlot();
+			throw err;
+		}
+		const { pool } = lease;
+		// Every query of a snapshot runs in its transaction, which keeps a connection of the pool to itself
+		const shared = snapshot?.transaction ?? null;
+		const releasePool = () => {
+			lease.release();
+			releaseSlot();
+		};
+		/** @type {mssql.Transaction | null} */
+		let transaction = null;
+		let released = false;
+		const release = () => {
+			if (released) return;
+			released = true;
+			if (!transaction) return releasePool();
+			const current = transaction;
+			// The isolation level outlives the transaction, so put the session's default back for the next query
+			const restore = database.isolation
+				? new mssql.Request(current).batch('SET TRANSACTION ISOLATION LEVEL READ COMMITTED').catch(() => {})
+				: Promise.resolve();
+			restore
+				// Anything a read-only query managed to write is undone before the connection is reused
+				.then(() => (isReadOnly(database) ? current.rollback() : current.commit()))
+				.catch(() => {})
+				.then(releasePool);
+		};
+
+		/** @type {string | null} Why the query was cancelled, which says more than tedious' "Canceled." */
+		let cancelReason = null;
+		/** @param {unknown} err */
+		const cancelledError = (err) => (cancelReason ? new Error(cancelReason, { cause: err }) : err);
+
+		/** @param {mssql.Request} request */
+		const bindInputs = (request) => {
+			for (const input of parameters) request.input(input.name, input.type, input.value);
+			// The query's @timeout goes with its requests, counts included
+			if (database.query_timeout !== undefined) withRequestTimeout(request, database.query_timeout);
+			return request;
+		};
+
+		try {
+			// Described once, in the query's slot and on its connection
+			if (selectList === undefined) {
+				const declarations = parameters.map(({ name, type }) => `@${name} ${declareSqlType(type)}`).join(', ');
+				selectList = await offsetSelectList(shared ?? pool, queryString, declarations, (request, send) =>
+					sendTracked(database, `describing the columns of ${description}`, request, send)
+				);
+			}
+			const query = buildQuery(selectList);
+			if (query !== queryString) errorContext.sent = query;
+
+			// A procedure's row count can't be worked out without running it
+			const expected_row_count =
+				execute || countQuery === null
+					? undefined
+					: await getExpectedRowCount(shared ?? pool, countQuery, {
+							strategy: database.row_count,
+							bindInputs,
+							// Cancelled like the query itself, which 'exact' can take as long as
+							send: (request, send) => sendTracked(database, `counting the rows of ${description}`, request, send)
+						});
+
+			if (!shared && (isReadOnly(database) || database.isolation)) {
+				transaction = new mssql.Transaction(pool);
+				await transaction.begin(database.isolation ? mssql.ISOLATION_LEVEL[database.isolation] : undefined);
+			}
+			const request = bindInputs(new mssql.Request(shared ?? transaction ?? pool));
+			for (const output of outputs) request.output(output.name, output.type);
+			request.stream = true;
+			// Rows as arrays keep unnamed and duplicate columns, readRecordsets names them
+			request.arrayRowMode = true;
+			if (execute) request.execute(query);
+			else request.query(query);
+
+			/** @type {Promise<QueryOutcome>} */
+			const outcome = new Promise((res, rej) => {
+				request.once('done', res);
+				request.once('error', rej);
+			});
+			// The connection is busy until every result set has been read or discarded
+			outcome.then(release, release);
+
+			const reader = readRecordsets(request, columnNameStyle);
+			/** @param {string} reason */
+			const cancel = (reason) => {
+				cancelReason ??= reason;
+				reader.cancel();
+			};
+			// Cancelled by SIGINT, SIGTERM or the source's time_budget
+			trackQuery(database, { cancel, finished: outcome });
+
+			const formats = resolveValueFormats(database);
+			/** @param {import('./recordsets.cjs').Recordset} set */
+			const toQueryResult = async ({ position, columns, renames, stream }) => {
+				// Said once, not again when the query is restarted to resume reading
+				if (renames.length && countQuery !== null) {
+					console.warn(`${description}${position > 1 ? ` (result set ${position})` : ''}: renamed columns ${describeRenames(renames)}`);
+				}
+				const standardizeRow = createRowStandardizer(columns, formats);
+				const keyName = resumeKey ? findColumn(columns, resumeKey)?.name : undefined;
+				const results = await asyncIterableToBatchedAsyncGenerator(stream, batchSize, {
+					standardizeRow: keyName
+						? (/** @type {Record<string, unknown>} */ row) => {
+								rawKeys.set(row, row[keyName]);
+								return standardizeRow(row);
+							}
+						: standardizeRow
+				});
+				results.columnTypes = mapResultsToEvidenceColumnTypes(columns, formats);
+				const { rows } = results;
+				results.rows = async function* () {
+					let complete = false;
+					try {
+						yield* rows();
+						complete = true;
+					} catch (err) {
+						throw cancelledError(err);
+					} finally {
+						// Whoever was reading gave up, there's no point in the server carrying on
+						if (!complete) cancel('Stopped reading the results');
+					}
+				};
+				/** Stop the query on the server, for results that will never be read */
+				results.cancel = () => cancel('The results were not needed');
+				return results;
+			};
+
+			let main = await reader.next();
+			while (main && main.position < recordset) {
+				main.stream.resume();
+				main = await reader.next();
+			}
+			if (!main) throw new Error(`Expected result set ${recordset}, but the query returned fewer`);
+
+			const results = await toQueryResult(main);
+			results.expectedRowCount = expected_row_count;
+			onColumns?.(main.columns);
+			onFinished?.(outcome);
+			if (onNextResult) {
+				const next = async () => {
+					const set = await reader.next();
+					// Later result sets can't be run again on their own
+					return set && describeRowErrors(resumeOnFailure(await toQueryResult(set), retryOptions));
+				};
+				onNextResult(next, reader.discardRemaining);
+			} else {
+				reader.discardRemaining();
+			}
+
+			return { results, columns: main.columns };
+		} catch (err) {
+			release();
+			throw cancelledError(err);
+		}
 	};
 
 	try {
-		return await retry(queryExecution, {
-			retries: 3,			// Try 3 times (total of 4 attempts)
-			delay: 1000,		// Start with 1 second delay
-			backoffFactor: 2,	// Exponential backoff: 1s, 2s, 4s
-			retryableErrors		// Only retry on these errors
-		});
+		// Checked before connecting, like parameters
+		if (!execute) assertReadOnly(queryString, database, { path: source.path });
+		// Checked before connecting, a missing or invalid parameter is not worth a retry
+		const bound = [...inputs, ...snapshotInputs(database)];
+		const parameters = execute
+			? inputs
+			: [...resolveQueryParameters(queryString, database, bound.map((input) => input.name)), ...bound];
+
+		if (resumeKey && !isSafeToWrap(queryString)) {
+			throw new Error('A query with a resume key must be a single SELECT that can be used as a subquery');
+		}
+		// The driver drops datetimeoffset offsets, so they are read as text where the query allows it.
+		// A wrapped query's rows lose their order, unless the resume key's ORDER BY replaces it.
+		if (
+			!execute &&
+			resolveValueFormats(database).datetimeoffset === 'string' &&
+			isSafeToWrap(queryString) &&
+			(resumeKey || !hasOrderBy(queryString))
+		) {
+			selectList = undefined;
+		}
+
+		/** @param {string | null} list */
+		const query = (list) => {
+			// Resuming relies on the rows arriving in key order, the source's order rather than that of a key read as text
+			if (resumeKey) return `SELECT ${list ?? '*'} FROM (\n${cleanQuery(queryString)}) AS resumable_source ORDER BY resumable_source.${quoteIdentifier(resumeKey)}`;
+			return list ? `SELECT ${list} FROM (\n${cleanQuery(queryString)}) AS offset_source` : queryString;
+		};
+		const { results, columns } = await retry(() => queryExecution(query, parameters, queryString), retryOptions);
+		// The key is named as in the SQL, its rows may have it under another name
+		const keyColumn = resumeKey ? findColumn(columns, resumeKey) : undefined;
+		if (resumeKey && !keyColumn) {
+			await exhaustStream(results);
+			throw new Error(`Resume key column ${resumeKey} is not in the results`);
+		}
+
+		const restart = async (/** @type {unknown} */ after) => {
+			if (after === undefined) {
+				return (await retry(() => queryExecution(query, parameters, null), retryOptions)).results;
+			}
+			const column = /** @type {mssql.IColumnMetadata[string]} */ (keyColumn);
+			const type = Object.keys(mssql.TYPES).find((name) => mssql.TYPES[name] === column.type) ?? 'NVarChar';
+			let value = after;
+			// tedious reads the digits below a millisecond into nanosecondsDelta, but sends them from nanosecondDelta
+			if (after instanceof Date) {
+				value = Object.assign(new Date(after), { nanosecondDelta: /** @type {any} */ (after).nanosecondsDelta ?? 0 });
+			}
+			const resumeInput = {
+				name: 'resume_after',
+				type: watermarkSqlType({ type, length: column.length, precision: column.precision, scale: column.scale }),
+				value
+			};
+			/** @param {string | null} list */
+			const resumeQuery = (list) =>
+				`SELECT ${list ?? '*'} FROM (\n${cleanQuery(queryString)}) AS resumable_source WHERE resumable_source.${quoteIdentifier(resumeKey)} > @resume_after ORDER BY resumable_source.${quoteIdentifier(resumeKey)}`;
+			return (await retry(() => queryExecution(resumeQuery, [...parameters, resumeInput], null), retryOptions)).results;
+		};
+
+		return describeRowErrors(
+			resumeOnFailure(results, { ...retryOptions, restart, resumeKey: keyColumn?.name, keyOf: (row) => rawKeys.get(row) })
+		);
 	} catch (err) {
-		// Normalise error before replace
-		const errStr = (typeof err === 'string')
-			? err
-			: (err?.message ?? err?.toString?.() ?? 'Unknown error');
-		
-		throw errStr.replace(/\n|\r/g, ' ');
+		throw describeError(err, errorContext);
 	}
 };
 
 module.exports = runQuery;
 
+/**
+ * @typedef {import("@evidence-dev/db-commons").QueryResult & { name: string, snapshotTime?: string }} SourceTable
+ */
+
+/**
+ * Run a stored procedure call, extracting the chosen result set and, if asked for, a
+ * `<name>_output` table with one row holding the return value and output parameters
+ * @param {import('./procedures.cjs').ProcedureCall} call
+ * @param {string} name - Evidence table name
+ * @param {MsSQLOptions} database
+ * @param {number} batchSize
+ * @returns {Promise<SourceTable[]>}
+ */
+const runProcedure = async (call, name, database, batchSize) => {
+	/** @type {Promise<QueryOutcome>} */
+	let outcome;
+	const result = await runQuery(call.procedure, database, batchSize, {
+		execute: true,
+		inputs: call.inputs,
+		outputs: call.outputs,
+		recordset: call.recordset,
+		onFinished: (finished) => (outcome = finished)
+	});
+	if (!call.outputTable) return [{ name, ...result }];
+
+	/** @type {mssql.IColumnMetadata} */
+	const columns = {
+		return_value: /** @type {any} */ ({ name: 'return_value', type: mssql.TYPES.Int })
+	};
+	for (const { name: outputName, type } of call.outputs) {
+		columns[outputName] = /** @type {any} */ ({ name: outputName, ...type });
+	}
+	const formats = resolveValueFormats(database);
+	const standardizeRow = createRowStandardizer(columns, formats);
+
+	return [
+		{ name, ...result },
+		{
+			name: `${name}_output`,
+			columnTypes: mapResultsToEvidenceColumnTypes(columns, formats),
+			expectedRowCount: 1,
+			// Output parameters are only sent after the last row of the procedure's results
+			rows: async function* () {
+				const { output, returnValue } = await outcome.catch((err) => {
+					throw describeError(err);
+				});
+				yield [standardizeRow({ return_value: returnValue ?? null, ...output })];
+			}
+		}
+	];
+};
+
+/**
+ * Run a query from a source, applying the directives in its header comment, including its own
+ * timeout, batch size, retries and isolation level. Every result set
+ * of the query becomes a table, named as described by `resultSetNames`. Each table is produced
+ * once the rows of the previous one have been read.
+ * @param {string} queryString
+ * @param {string} name - Evidence table name
+ * @param {MsSQLOptions} database
+ * @param {number} batchSize
+ * @param {Object} [options]
+ * @param {Record<string, string | undefined>} [options.directives] - Defaults to those in the query's header
+ * @param {string} [options.path] - Path of the query file, for error messages
+ * @returns {AsyncGenerator<SourceTable>}
+ */
+async function* runSourceTables(queryString, name, database, batchSize, { directives = parseDirectives(queryString), path } = {}) {
+	warnUnknownDirectives(queryString, name);
+	const overrides = parseQueryOverrides(directives);
+	database = { ...database, ...overrides.options };
+	batchSize = overrides.batchSize ?? batchSize;
+	const source = { path, query: queryString };
+	const snapshot = snapshotOf(database);
+	if (snapshot?.transaction) {
+		if (overrides.options.isolation) {
+			throw new Error(`${path ?? name} sets @isolation, which can't be used with consistency: snapshot, as every query runs in the source's snapshot transaction`);
+		}
+	} else if (snapshot && !readsAtSnapshot(database, queryString)) {
+		console.warn(
+			`${path ?? name} doesn't read FOR SYSTEM_TIME AS OF @${SNAPSHOT_TIME_PARAMETER}, so it gets the data as it is now rather than as of ${snapshot.time.toISOString()}`
+		);
+	}
+	const call = parseProcedureCall(queryString, database);
+	if (call && isReadOnly(database) && !isWriteAllowed(database, { path, name })) {
+		throw new Error(
+			`${path ?? name} calls the procedure ${call.procedure}, which can't be checked for writes. The source has read_only set; list the file in read_only_allow to run it`
+		);
+	}
+	if (call) {
+		yield* await runProcedure(call, name, database, batchSize);
+		return;
+	}
+
+	const changeModes = ['watermark', 'change_tracking', 'cdc'].filter((directive) => directives[directive] !== undefined);
+	if (changeModes.length > 1) {
+		throw new Error(`${path ?? name} sets @${changeModes.join(' and @')}, only one way of extracting changes can be used`);
+	}
+	if (directives.change_tracking !== undefined || directives.cdc !== undefined) {
+		const mode = directives.cdc !== undefined ? 'cdc' : 'change_tracking';
+		const result = await runChangeQuery(runQuery, queryString, database, batchSize, {
+			name,
+			mode,
+			target: /** @type {string} */ (directives[mode]),
+			uniqueKey: directives.unique_key,
+			source
+		});
+		yield { name, ...result };
+		return;
+	}
+
+	if (directives.watermark) {
+		const result = await runIncrementalQuery(runQuery, queryString, database, batchSize, {
+			name,
+			watermark: directives.watermark,
+			uniqueKey: directives.unique_key,
+			source
+		});
+		yield { name, ...result };
+		return;
+	}
+
+	const nameOf = resultSetNames(queryString, name);
+	const cache = createQueryCache(runQuery, queryString, name, database, batchSize, directives);
+	// A cached result was read at another time than the source's snapshot
+	const cached = snapshot ? null : await cache?.read();
+	if (cached) {
+		yield { name: nameOf(1), ...cached };
+		return;
+	}
+
+	/** @type {() => Promise<import("@evidence-dev/db-commons").QueryResult | null>} */
+	let next = async () => null;
+	let discard = () => {};
+	const first = await runQuery(queryString, database, batchSize, {
+		resumeKey: directives.resume_key,
+		source,
+		onNextResult: (nextResult, discardRemaining) => {
+			next = nextResult;
+			discard = discardRemaining;
+		}
+	});
+
+	let position = 1;
+	let done = false;
+	try {
+		yield { name: nameOf(position), ...(cache ? cache.write(first) : first) };
+		for (;;) {
+			position++;
+			let result;
+			try {
+				result = await next();
+			} catch (err) {
+				yield failedTable(nameOf(position), queryString, err);
+				break;
+			}
+			if (!result) break;
+			if (position === 2 && cache) {
+				console.log(`${name}: returns more than one result set, which can't be cached`);
+				await cache.forget();
+			}
+			yield { name: nameOf(position), ...result };
+		}
+		done = true;
+	} finally {
+		// Stopped early, don't hold the connection for result sets nobody will read
+		if (!done) discard();
+	}
+}
+
 /**
  * @typedef {Object} MsSQLOptions
+ * @property {string} [connection_string]
  * @property {string} user
  * @property {string} host
  * @property {string} database
@@ -272,27 +831,378 @@ module.exports = runQuery;
  * @property {`${boolean}`} encrypt
  * @property {`${number}`} connection_timeout
  * @property {`${number}`} request_timeout
+ * @property {string} [instance_name]
+ * @property {string} [failover_partner]
+ * @property {'ReadWrite' | 'ReadOnly'} [application_intent]
+ * @property {`${boolean}`} [multi_subnet_failover]
+ * @property {string} [app_name]
+ * @property {'7_1' | '7_2' | '7_3_A' | '7_3_B' | '7_4' | '8_0'} [tds_version]
  * @property {`${number}`} batch_size
+ * @property {`${number}`} [max_concurrent_queries]
+ * @property {`${number}`} [pool_min]
+ * @property {`${number}`} [pool_max]
+ * @property {`${number}`} [pool_idle_timeout]
+ * @property {`${number}`} [time_budget]
+ * @property {'off' | 'snapshot' | 'system_time'} [consistency]
+ * @property {'off' | 'subquery' | 'estimated' | 'exact'} [row_count]
+ * @property {'string' | 'seconds'} [time_format]
+ * @property {'hex' | 'base64'} [binary_format]
+ * @property {'wkt' | 'geojson'} [spatial_format]
+ * @property {'number' | 'string'} [bigint_format]
+ * @property {'utc' | 'string'} [datetimeoffset_format]
+ * @property {'as_is' | 'snake_case' | 'lowercase'} [column_names]
+ * @property {string | Array<string | import('./tables.cjs').TableSpec>} [tables]
+ * @property {string | string[]} [exclude_tables]
+ * @property {`${boolean}`} [include_views]
+ * @property {`${boolean}`} [full_refresh]
+ * @property {`${boolean}`} [dry_run]
+ * @property {string} [state_directory]
+ * @property {string | Record<string, unknown>} [parameters]
+ * @property {`${boolean}`} [cache]
+ * @property {`${number}`} [cache_ttl]
+ * @property {`${boolean}`} [read_only]
+ * @property {string | string[]} [read_only_allow]
+ * @property {number} [query_timeout] - Milliseconds, set for one query by its `@timeout` directive
+ * @property {number} [retries] - Set for one query by its `@retries` directive
+ * @property {string} [isolation] - mssql.ISOLATION_LEVEL name, set for one query by its `@isolation` directive
+ */
+
+/**
+ * Fix the point in time a source is read at, when it sets consistency. In snapshot mode the
+ * transaction keeps a connection, and so its pool, until `end` is called.
+ * @param {MsSQLOptions} opts
+ * @returns {Promise<{ snapshot: import('./consistency.cjs').SourceSnapshot, end: () => Promise<void> } | null>}
  */
+const openSnapshot = async (opts) => {
+	const mode = resolveConsistency(opts);
+	if (mode === 'off') return null;
+	const { pool, release } = await acquirePool(buildConfig(opts));
+	/** @type {import('./consistency.cjs').SourceSnapshot} */
+	let snapshot;
+	try {
+		snapshot = await beginSnapshot(pool, mode);
+	} catch (err) {
+		release();
+		throw describeError(err, { authenticationType: opts.authenticationType });
+	}
+	console.log(`Reading the source as of ${snapshot.time.toISOString()}${snapshot.transaction ? ', in a snapshot transaction' : ''}`);
+	if (!snapshot.transaction) {
+		release();
+		return { snapshot, end: async () => {} };
+	}
+	return {
+		snapshot,
+		end: async () => {
+			await endSnapshot(snapshot, isReadOnly(opts));
+			release();
+		}
+	};
+};
 
 /** @type {import('@evidence-dev/db-commons').GetRunner<MsSQLOptions>} */
 module.exports.getRunner = async (opts) => {
+	// Resolved once here, so saved state and cached results are keyed by the actual server
+	opts = resolveConnectionOptions(opts, optionDefaults());
+	if (resolveConsistency(opts) === 'snapshot' && !isDryRun(opts)) {
+		// Nothing says when Evidence is done with a runner, so its transaction would never end
+		console.warn('consistency: snapshot only applies when Evidence runs the source with processSource; here each query reads the data as it is when it runs');
+	} else if (!isDryRun(opts)) {
+		const snapshot = await openSnapshot(opts);
+		if (snapshot) opts = withSnapshot(opts, snapshot.snapshot);
+	}
+	opts = withTimeBudget(withQueryLimiter(opts));
 	const batchSize = opts.batch_size || 10000;
 	return async (queryContent, queryPath) => {
 		// Filter out non-sql files
 		if (!queryPath.endsWith('.sql')) return null;
-		return runQuery(queryContent, opts, batchSize);
+		const name = queryPath.split(/[\\/]/).pop().split('.')[0];
+		if (isDryRun(opts)) {
+			const { pool, release } = await acquirePool(buildConfig(opts));
+			try {
+				const validation = await validateFile(pool, opts, { path: queryPath, name }, queryContent);
+				if (!validation.valid) throw new Error(describeValidation(validation));
+				return { rows: [], columnTypes: validatedColumnTypes(validation) };
+			} finally {
+				release();
+			}
+		}
+		// Only one table per file can be returned here, extra tables need processSource
+		for await (const table of runSourceTables(queryContent, name, opts, batchSize, { path: queryPath })) {
+			return { ...table, ...snapshotMetadata(opts, queryContent) };
+		}
+		return null;
 	};
 };
 
-/** @type {import('@evidence-dev/db-commons').ConnectionTester<MsSQLOptions>} */
+/**
+ * Walk the source directory for query files, in the same order Evidence lists them
+ * @param {import('@evidence-dev/db-commons').SourceDirectory} files
+ * @param {string} [prefix]
+ * @returns {Generator<{ path: string, name: string, read: (disableInterpolation?: boolean) => Promise<string> }>}
+ */
+function* walkQueryFiles(files, prefix = '') {
+	for (const [filename, entry] of Object.entries(files)) {
+		if (!prefix && (filename === 'connection.yaml' || filename === 'connection.options.yaml')) continue;
+		const path = prefix ? `${prefix}/${filename}` : filename;
+		if (typeof entry === 'function') {
+			yield { path, name: filename.split('.')[0], read: entry };
+		} else {
+			yield* walkQueryFiles(entry, path);
+		}
+	}
+}
+
+/**
+ * A table result whose rows fail with the given error, so Evidence reports it against
+ * that table and carries on with the rest of the source
+ * @param {string} name
+ * @param {string} content
+ * @param {unknown} err
+ */
+const failedTable = (name, content, err) => ({
+	name,
+	content,
+	columnTypes: [],
+	rows: async function* () {
+		throw err;
+	}
+});
+
+/**
+ * Whether a source only validates its queries, see `validateSource`
+ * @param {Record<string, any>} opts
+ * @returns {boolean}
+ */
+const isDryRun = (opts) => opts.dry_run === true || opts.dry_run === 'true';
+
+/**
+ * @typedef {import('./validation.cjs').QueryValidation & { path: string, name: string }} FileValidation
+ */
+
+/**
+ * One line saying whether a file is valid, with its columns or what is wrong with it
+ * @param {FileValidation} validation
+ * @returns {string}
+ */
+const describeValidation = ({ path, valid, stage, error, line, columns }) => {
+	if (!valid) return `${path}: invalid, ${stage} error${line ? ` at line ${line}` : ''}: ${error}`;
+	if (!columns) return `${path}: valid`;
+	return `${path}: valid, returns ${columns.map((column) => `${column.name} ${column.sqlType} (${column.evidenceType})`).join(', ')}`;
+};
+
+/**
+ * Validate a query file and log the outcome
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {MsSQLOptions} opts
+ * @param {{ path: string, name: string }} file
+ * @param {string} content
+ * @returns {Promise<FileValidation>}
+ */
+const validateFile = async (pool, opts, file, content) => {
+	const formats = resolveValueFormats(opts);
+	const result = await validateQuery(pool, content, opts, (type) => nativeTypeToEvidenceType(type, undefined, formats), file);
+	/** @type {FileValidation} */
+	const validation = { path: file.path, name: file.name, ...result };
+	if (validation.valid) console.log(describeValidation(validation));
+	else console.warn(describeValidation(validation));
+	for (const warning of validation.warnings) console.warn(`${file.path}: ${warning}`);
+	return validation;
+};
+
+/**
+ * The Evidence column types of a validated file, empty when they couldn't be described
+ * @param {FileValidation} validation
+ */
+const validatedColumnTypes = ({ columns }) =>
+	(columns ?? []).map(({ name, evidenceType, typeFidelity }) => ({ name, evidenceType, typeFidelity }));
+
+/**
+ * Validate each `.sql` file of a source in turn, on one connection pool
+ * @param {MsSQLOptions} opts
+ * @param {import('@evidence-dev/db-commons').SourceDirectory} files
+ * @returns {AsyncGenerator<{ content: string, validation: FileValidation }>}
+ */
+async function* validateFiles(opts, files) {
+	const { pool, release } = await acquirePool(buildConfig(opts)).catch((err) => {
+		throw describeError(err, { authenticationType: opts.authenticationType });
+	});
+	let valid = 0;
+	let invalid = 0;
+	try {
+		for (const file of walkQueryFiles(files)) {
+			if (!file.path.endsWith('.sql')) continue;
+			const content = await file.read();
+			const validation = await validateFile(pool, opts, file, content);
+			if (validation.valid) valid++;
+			else invalid++;
+			yield { content, validation };
+		}
+		console.log(`Validated ${valid + invalid} query files: ${valid} valid, ${invalid} invalid`);
+	} finally {
+		release();
+	}
+}
+
+/**
+ * Check every `.sql` file in a source without pulling any data: each is parsed, compiled against
+ * the database with `SET NOEXEC`, and its first result set described with
+ * `sp_describe_first_result_set`. Nothing is executed, so no rows are read or counted.
+ * @param {MsSQLOptions} opts
+ * @param {import('@evidence-dev/db-commons').SourceDirectory} files
+ * @returns {Promise<FileValidation[]>} One entry per file, in the order Evidence lists them
+ */
+module.exports.validateSource = async (opts, files) => {
+	/** @type {FileValidation[]} */
+	const report = [];
+	for await (const { validation } of validateFiles(resolveConnectionOptions(opts, optionDefaults()), files)) report.push(validation);
+	return report;
+};
+
+/**
+ * Runs every `.sql` file in the source, like `getRunner`, then extracts each table matched by
+ * the `tables` option with a generated `SELECT`. With `consistency` set, they are all read at the
+ * same point in time, which each table records as its `snapshotTime`
+ * @type {import('@evidence-dev/db-commons').ProcessSource<MsSQLOptions>}
+ */
+module.exports.processSource = async function* (opts, files, utils) {
+	opts = resolveConnectionOptions(opts, optionDefaults());
+	if (isDryRun(opts)) {
+		// Every file becomes an empty table with the columns it would have, or fails with its error
+		for await (const { content, validation } of validateFiles(opts, files)) {
+			if (validation.valid) yield { name: validation.name, content, rows: [], columnTypes: validatedColumnTypes(validation) };
+			else yield failedTable(validation.name, content, new Error(describeValidation(validation)));
+		}
+		if (hasTableList(opts)) console.log('dry_run is set, so the tables listed in the tables option are not extracted');
+		return;
+	}
+
+	const snapshot = await openSnapshot(opts);
+	try {
+		yield* extractSource(withTimeBudget(withQueryLimiter(snapshot ? withSnapshot(opts, snapshot.snapshot) : opts)), files, utils);
+	} finally {
+		await snapshot?.end();
+	}
+};
+
+/**
+ * Run the query files of a source, then extract its tables
+ * @param {MsSQLOptions} opts - With the source's limiter, budget and snapshot
+ * @param {import('@evidence-dev/db-commons').SourceDirectory} files
+ * @param {Parameters<import('@evidence-dev/db-commons').ProcessSource<MsSQLOptions>>[2]} utils
+ * @returns {AsyncGenerator<SourceTable & { content: string }>}
+ */
+async function* extractSource(opts, files, utils) {
+	const batchSize = opts.batch_size || 10000;
+	// Later files are queried while earlier ones are read, up to max_concurrent_queries at once
+	const lookahead = lookaheadFor(opts);
+	const names = new Set();
+
+	const fileJobs = function* () {
+		for (const file of walkQueryFiles(files)) {
+			if (!file.path.endsWith('.sql')) continue;
+			names.add(file.name.toLowerCase());
+			yield async function* () {
+				const content = await file.read();
+				if (utils?.isFiltered?.(file.name) === false) {
+					// Evidence skips filtered tables itself, there's no need to query them
+					yield { name: file.name, content, rows: [], columnTypes: [] };
+					return;
+				}
+				try {
+					for await (const table of runSourceTables(content, file.name, opts, batchSize, { path: file.path })) {
+						names.add(table.name.toLowerCase());
+						yield { content, ...table, ...snapshotMetadata(opts, content) };
+					}
+				} catch (err) {
+					yield failedTable(file.name, content, err);
+				}
+			};
+		}
+	};
+	yield* runAhead(fileJobs(), lookahead);
+
+	if (!hasTableList(opts)) return;
+
+	const { pool, release } = await acquirePool(buildConfig(opts));
+	let tables;
+	try {
+		tables = await resolveSourceTables(pool, opts);
+	} finally {
+		release();
+	}
+
+	const tableJobs = tables.map((table) => async function* () {
+		if (names.has(table.name.toLowerCase())) {
+			yield failedTable(table.name, table.query, `${table.schema}.${table.table} has the same name as a query file in this source`);
+			return;
+		}
+		if (utils?.isFiltered?.(table.name) === false) {
+			yield { name: table.name, content: table.query, rows: [], columnTypes: [] };
+			return;
+		}
+		try {
+			for await (const result of runSourceTables(table.query, table.name, opts, batchSize, { directives: table.directives })) {
+				yield { content: table.query, ...result, ...snapshotMetadata(opts, table.query) };
+			}
+		} catch (err) {
+			yield failedTable(table.name, table.query, err);
+		}
+	});
+	yield* runAhead(tableJobs, lookahead);
+}
+
+/**
+ * Check each step of connecting to the source on its own, from resolving the server's name to
+ * the permissions queries need, and describe the server
+ * @param {MsSQLOptions} opts
+ * @returns {Promise<import('./diagnostics.cjs').ConnectionDiagnosis>}
+ */
+module.exports.diagnoseConnection = async (opts) => {
+	opts = resolveConnectionOptions(opts, optionDefaults());
+	return diagnoseConnection(buildConfig(opts), opts);
+};
+
+/**
+ * Passes when every stage of `diagnoseConnection` does, otherwise names the stage that failed.
+ * Nothing is retried, so a broken connection is reported straight away.
+ * @type {import('@evidence-dev/db-commons').ConnectionTester<MsSQLOptions>}
+ */
 module.exports.testConnection = async (opts) => {
-	return await runQuery('SELECT 1 AS TEST;', opts) //
-		.then(exhaustStream)
-		.then(() => true)
-		.catch((e) => ({ reason: e.message ?? (e.toString() || 'Invalid Credentials') }));
+	try {
+		const { stages, warnings } = await module.exports.diagnoseConnection(opts);
+		for (const warning of warnings) console.warn(warning);
+		const failed = stages.find(({ status }) => status === 'failed');
+		if (!failed) return true;
+		const passed = stages.filter(({ status }) => status === 'passed').map(({ title }) => title);
+		return { reason: `${failed.title} failed: ${failed.error}${passed.length ? ` (passed: ${passed.join(', ')})` : ''}` };
+	} catch (e) {
+		return { reason: e.message ?? (e.toString() || 'Invalid Credentials') };
+	}
 };
 
+/**
+ * Describe the schemas, tables, views and columns of the source's database, with the Evidence
+ * type each column would be extracted as. Columns whose type would come back INFERRED have no
+ * Evidence equivalent and are worth a CAST in the query.
+ * @param {MsSQLOptions} opts
+ * @param {import('./discovery.cjs').DiscoveryOptions} [options]
+ * @returns {Promise<import('./discovery.cjs').DatabaseSchema>}
+ */
+module.exports.discoverSchema = async (opts, options) => {
+	opts = resolveConnectionOptions(opts, optionDefaults());
+	const formats = resolveValueFormats(opts);
+	const { pool, release } = await acquirePool(buildConfig(opts));
+	try {
+		return await discoverSchema(pool, (type) => nativeTypeToEvidenceType(type, undefined, formats), options);
+	} catch (err) {
+		throw describeError(err, { authenticationType: opts.authenticationType });
+	} finally {
+		release();
+	}
+};
+
+module.exports.starterQuery = starterQuery;
+
 module.exports.options = {
 	authenticationType: {
 		title: 'Authentication type',
@@ -321,6 +1231,26 @@ module.exports.options = {
 			{
 				value: 'azure-active-directory-service-principal-secret',
 				label: 'Entra AD Service Principal Secret'
+			},
+			{
+				value: 'azure-active-directory-service-principal-certificate',
+				label: 'Entra AD Service Principal Certificate'
+			},
+			{
+				value: 'azure-active-directory-workload-identity',
+				label: 'Entra AD Workload Identity'
+			},
+			{
+				value: 'ntlm',
+				label: 'Windows Authentication (NTLM)'
+			},
+			{
+				value: 'azure-active-directory-msi-vm',
+				label: 'Entra AD Managed Identity (Azure VM)'
+			},
+			{
+				value: 'azure-active-directory-msi-app-service',
+				label: 'Entra AD Managed Identity (App Service)'
 			}
 		],
 		children: {
@@ -392,25 +1322,126 @@ module.exports.options = {
 					secret: true,
 					required: true
 				}
+			},
+			'azure-active-directory-service-principal-certificate': {
+				spcertclientid: {
+					title: 'Client ID',
+					type: 'string',
+					secret: true,
+					required: true
+				},
+				spcerttenantid: {
+					title: 'Tenant ID',
+					type: 'string',
+					secret: true,
+					required: true
+				},
+				spcertpath: {
+					title: 'Certificate Path',
+					type: 'string',
+					secret: false,
+					required: true,
+					description: 'PEM file with the private key and certificate. Convert a PFX file with openssl pkcs12 -in cert.pfx -out cert.pem -nodes'
+				},
+				spcertthumbprint: {
+					title: 'Certificate Thumbprint',
+					type: 'string',
+					secret: false,
+					required: false,
+					description: 'SHA-1 thumbprint; when set, the certificate in the PEM file must have it'
+				},
+				spcertpassword: {
+					title: 'Private Key Password',
+					type: 'string',
+					secret: true,
+					required: false
+				},
+				spcertsendchain: {
+					title: 'Send Certificate Chain',
+					type: 'boolean',
+					secret: false,
+					required: false,
+					default: false,
+					description: 'Send the certificate chain with each token request, for subject name and issuer authentication'
+				}
+			},
+			'azure-active-directory-workload-identity': {
+				wiclientid: {
+					title: 'Client ID',
+					type: 'string',
+					secret: true,
+					required: false,
+					description: 'Defaults to AZURE_CLIENT_ID'
+				},
+				witenantid: {
+					title: 'Tenant ID',
+					type: 'string',
+					secret: true,
+					required: false,
+					description: 'Defaults to AZURE_TENANT_ID'
+				},
+				witokenfile: {
+					title: 'Federated Token File',
+					type: 'string',
+					secret: false,
+					required: false,
+					description: 'Defaults to AZURE_FEDERATED_TOKEN_FILE'
+				}
+			},
+			ntlm: {
+				ntlmdomain: {
+					title: 'Domain',
+					type: 'string',
+					secret: false,
+					required: true
+				},
+				ntlmuser: {
+					title: 'User',
+					type: 'string',
+					secret: false,
+					required: true
+				},
+				ntlmpassword: {
+					title: 'Password',
+					type: 'string',
+					secret: true,
+					required: true
+				}
+			},
+			'azure-active-directory-msi-vm': {
+				msivmclientid: {
+					title: 'Managed Identity Client ID',
+					type: 'string',
+					secret: false,
+					required: false,
+					description: 'Client ID of a user-assigned identity; leave empty for the system-assigned identity'
+				}
+			},
+			'azure-active-directory-msi-app-service': {
+				msiappclientid: {
+					title: 'Managed Identity Client ID',
+					type: 'string',
+					secret: false,
+					required: false,
+					description: 'Client ID of a user-assigned identity; leave empty for the system-assigned identity'
+				}
 			}
-
-			// TODO: authentication types that are not supported yet:
-			// - tediousjs.github.io/tedious/api-connection.html
-			// - [ ] ntlm
-			// - [ ] azure-active-directory-msi-vm
-			// - [ ] azure-active-directory-msi-app-service
-			// - [x] default
-			// - [x] azure-active-directory-default
-			// - [x] azure-active-directory-password
-			// - [x] azure-active-directory-access-token
-			// - [x] azure-active-directory-service-principal-secret
 		}
 	},
+	connection_string: {
+		title: 'Connection String',
+		secret: true,
+		type: 'string',
+		required: false,
+		description:
+			'ADO.NET or ODBC connection string, e.g. Server=tcp:x.database.windows.net,1433;Initial Catalog=db;Authentication=Active Directory Default. Other options override its keywords'
+	},
 	server: {
 		title: 'Host',
 		secret: false,
 		type: 'string',
-		required: true
+		required: false,
+		description: 'Required unless the connection string names the server'
 	},
 	database: {
 		title: 'Database',
@@ -439,6 +1470,53 @@ module.exports.options = {
 		default: true,
 		description: 'Toggle database connection encryption (default: true)'
 	},
+	instance_name: {
+		title: 'Instance Name',
+		secret: false,
+		type: 'string',
+		required: false,
+		description: 'Named instance to connect to; its port is looked up with the SQL Server Browser service, and Port is ignored'
+	},
+	failover_partner: {
+		title: 'Failover Partner',
+		secret: false,
+		type: 'string',
+		required: false,
+		description: 'Server to connect to when Host cannot be reached, e.g. the mirror of a mirrored database, as host or host\\instance'
+	},
+	application_intent: {
+		title: 'Application Intent',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'ReadWrite',
+		options: APPLICATION_INTENTS.map((value) => ({ value, label: value })),
+		description: 'ReadOnly routes connections through an availability group listener to a readable secondary'
+	},
+	multi_subnet_failover: {
+		title: 'Multi-Subnet Failover',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Try every IP address of the host in parallel, for availability group listeners spanning subnets'
+	},
+	app_name: {
+		title: 'Application Name',
+		secret: false,
+		type: 'string',
+		required: false,
+		description: 'Reported to the server as program_name, to tell these connections apart in traces and sys.dm_exec_sessions'
+	},
+	tds_version: {
+		title: 'TDS Version',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: '7_4',
+		options: TDS_VERSIONS.map((value) => ({ value, label: value })),
+		description: 'Protocol version; older servers may need a lower one, and 8_0 uses strict encryption'
+	},
 	connection_timeout: {
 		title: 'Connection Timeout',
 		secret: false,
@@ -460,9 +1538,200 @@ module.exports.options = {
 		required: false,
 		default: 10000,
 		description: 'Number of rows to process per database transaction'
+	},
+	max_concurrent_queries: {
+		title: 'Max Concurrent Queries',
+		secret: false,
+		type: 'number',
+		required: false,
+		default: 4,
+		description: 'Queries of this source run at once; later files are queried while earlier ones are read. 1 runs them one at a time'
+	},
+	pool_min: {
+		title: 'Pool Min',
+		secret: false,
+		type: 'number',
+		required: false,
+		default: 0,
+		description: 'Connections kept open while the source is in use'
+	},
+	pool_max: {
+		title: 'Pool Max',
+		secret: false,
+		type: 'number',
+		required: false,
+		default: 10,
+		description: 'Most connections the source opens, at least max_concurrent_queries'
+	},
+	pool_idle_timeout: {
+		title: 'Pool Idle Timeout',
+		secret: false,
+		type: 'number',
+		required: false,
+		default: 30000,
+		description: 'Milliseconds an unused connection is kept open'
+	},
+	time_budget: {
+		title: 'Time Budget',
+		secret: false,
+		type: 'number',
+		required: false,
+		description: 'Seconds the whole source may take; queries still running are then cancelled, and later ones are not started'
+	},
+	consistency: {
+		title: 'Consistency',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'off',
+		options: CONSISTENCY_MODES.map((value) => ({ value, label: value })),
+		description:
+			'Read every query of the source at one point in time: in a single SNAPSHOT isolation transaction, or with FOR SYSTEM_TIME AS OF @snapshot_time on temporal tables'
+	},
+	row_count: {
+		title: 'Row Count',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'exact',
+		options: ROW_COUNT_STRATEGIES.map((value) => ({ value, label: value })),
+		description:
+			'How the expected row count is found: exact counts with COUNT(*) when the query allows it and estimates otherwise, estimated reads the query plan, subquery always uses COUNT(*)'
+	},
+	time_format: {
+		title: 'Time Format',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'string',
+		options: VALUE_FORMAT_CHOICES.time.map((value) => ({ value, label: value })),
+		description: 'time columns as HH:MM:SS.fffffff strings, or as seconds since midnight'
+	},
+	binary_format: {
+		title: 'Binary Format',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'hex',
+		options: VALUE_FORMAT_CHOICES.binary.map((value) => ({ value, label: value })),
+		description: 'Encoding for binary, varbinary and image columns'
+	},
+	spatial_format: {
+		title: 'Spatial Format',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'wkt',
+		options: VALUE_FORMAT_CHOICES.spatial.map((value) => ({ value, label: value })),
+		description: 'Encoding for geography and geometry columns'
+	},
+	datetimeoffset_format: {
+		title: 'Datetimeoffset Format',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'utc',
+		options: VALUE_FORMAT_CHOICES.datetimeoffset.map((value) => ({ value, label: value })),
+		description: 'datetimeoffset columns as UTC dates, or as ISO 8601 strings that keep their offset'
+	},
+	bigint_format: {
+		title: 'Bigint Format',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'number',
+		options: VALUE_FORMAT_CHOICES.bigint.map((value) => ({ value, label: value })),
+		description: 'bigint columns as numbers, or as strings that keep values beyond 2^53 exact'
+	},
+	column_names: {
+		title: 'Column Names',
+		secret: false,
+		type: 'select',
+		required: false,
+		default: 'as_is',
+		options: COLUMN_NAME_STYLES.map((value) => ({ value, label: value })),
+		description: 'Column names as returned, or converted to snake_case or lowercase; unnamed and duplicate columns are always renamed'
+	},
+	tables: {
+		title: 'Tables',
+		secret: false,
+		type: 'multiline',
+		required: false,
+		description: 'Tables to extract in full, one schema.table per line; * and ? wildcards are allowed'
+	},
+	exclude_tables: {
+		title: 'Excluded Tables',
+		secret: false,
+		type: 'multiline',
+		required: false,
+		description: 'Tables to leave out of the Tables list, one schema.table per line; * and ? wildcards are allowed'
+	},
+	include_views: {
+		title: 'Include Views',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Match views as well as tables in the Tables list'
+	},
+	full_refresh: {
+		title: 'Full Refresh',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Ignore saved watermarks, change tracking positions and cached results, and fetch every row again'
+	},
+	dry_run: {
+		title: 'Dry Run',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Check that every query file parses and compiles, and report its columns, without running any of them'
+	},
+	state_directory: {
+		title: 'State Directory',
+		secret: false,
+		type: 'string',
+		required: false,
+		description: 'Where incremental extracts and cached results are saved between builds (default: .evidence-mssql in the project)'
+	},
+	cache: {
+		title: 'Cache Results',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Reuse the saved results of a query whose SQL and options have not changed, without connecting'
+	},
+	cache_ttl: {
+		title: 'Cache TTL',
+		secret: false,
+		type: 'number',
+		required: false,
+		description: 'Seconds cached results are reused for (default: 3600, or 0 for queries with a -- @cache_probe)'
+	},
+	read_only: {
+		title: 'Read Only',
+		secret: false,
+		type: 'boolean',
+		required: false,
+		default: false,
+		description: 'Reject queries that write data or change schema, and roll back each query when it finishes'
+	},
+	read_only_allow: {
+		title: 'Read Only Exceptions',
+		secret: false,
+		type: 'multiline',
+		required: false,
+		description: 'Query files allowed to write when Read Only is set, one name or path per line; * and ? wildcards are allowed'
+	},
+	parameters: {
+		title: 'Query Parameters',
+		secret: false,
+		type: 'multiline',
+		required: false,
+		description: 'Values for @name variables used in queries, one per line as name type = value, e.g. start_date date = 2024-01-01'
 	}
 };
-
-process.on('exit', () => {
-	if (poolPromise) poolPromise.then(pool => pool.close());
-});
\ No newline at end of file
@@ -0,0 +1,344 @@
+const mssql = require('mssql');
+
+/**
+ * @typedef {Object} ParameterDeclaration
+ * @property {string} type - SQL Server type, e.g. `date`, `nvarchar(50)`, `decimal(18,2)`
+ * @property {unknown} value
+ */
+
+/**
+ * @typedef {Object} BoundParameter
+ * @property {string} name - Without the leading @
+ * @property {mssql.ISqlType} type
+ * @property {unknown} value
+ */
+
+/** SQL Server type names, lower case, to the key of their mssql type */
+const TYPE_NAMES = {
+	bit: 'Bit',
+	tinyint: 'TinyInt',
+	smallint: 'SmallInt',
+	int: 'Int',
+	bigint: 'BigInt',
+	float: 'Float',
+	real: 'Real',
+	decimal: 'Decimal',
+	numeric: 'Numeric',
+	money: 'Money',
+	smallmoney: 'SmallMoney',
+	date: 'Date',
+	datetime: 'DateTime',
+	datetime2: 'DateTime2',
+	smalldatetime: 'SmallDateTime',
+	datetimeoffset: 'DateTimeOffset',
+	time: 'Time',
+	char: 'Char',
+	nchar: 'NChar',
+	varchar: 'VarChar',
+	nvarchar: 'NVarChar',
+	uniqueidentifier: 'UniqueIdentifier'
+};
+
+const INTEGER_RANGES = {
+	TinyInt: [0, 255],
+	SmallInt: [-32768, 32767],
+	Int: [-2147483648, 2147483647],
+	BigInt: [-(2n ** 63n), 2n ** 63n - 1n]
+};
+
+/**
+ * @param {string} typeString
+ * @returns {{ key: string, args: Array<number | undefined> }}
+ */
+const parseParameterType = (typeString) => {
+	const match = /^\s*([a-z0-9]+)\s*(?:\(\s*(max|\d+)\s*(?:,\s*(\d+)\s*)?\))?\s*$/i.exec(String(typeString));
+	const key = match && TYPE_NAMES[match[1].toLowerCase()];
+	if (!match || !key) {
+		throw new Error(`unknown type "${typeString}", expected one of ${Object.keys(TYPE_NAMES).join(', ')}`);
+	}
+	const length = match[2] === undefined ? undefined : match[2].toLowerCase() === 'max' ? mssql.MAX : parseInt(match[2]);
+	const scale = match[3] === undefined ? undefined : parseInt(match[3]);
+	return { key, args: [length, scale] };
+};
+
+/**
+ * Pick a type for a parameter given only as a value
+ * @param {unknown} value
+ * @returns {string}
+ */
+const inferParameterType = (value) => {
+	if (typeof value === 'boolean') return 'bit';
+	if (typeof value === 'number' && Number.isInteger(value)) {
+		return value >= INTEGER_RANGES.Int[0] && value <= INTEGER_RANGES.Int[1] ? 'int' : 'bigint';
+	}
+	if (typeof value === 'number') return 'float';
+	if (value instanceof Date) return 'datetime2';
+	return 'nvarchar(max)';
+};
+
+/**
+ * Check a value against its declared type and convert it to what mssql expects
+ * @param {string} key - Key of mssql.TYPES
+ * @param {Array<number | undefined>} args - Length, or precision and scale
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+const coerceValue = (key, args, value) => {
+	if (value === null) return null;
+	const text = typeof value === 'string' ? value.trim() : value;
+
+	switch (key) {
+		case 'Bit':
+			if ([true, 1, 'true', '1'].includes(text)) return true;
+			if ([false, 0, 'false', '0'].includes(text)) return false;
+			throw new Error('expected true or false');
+		case 'TinyInt':
+		case 'SmallInt':
+		case 'Int':
+		case 'BigInt': {
+			if (!/^-?\d+$/.test(String(text))) throw new Error('expected a whole number');
+			const [min, max] = INTEGER_RANGES[key];
+			const number = BigInt(String(text));
+			if (number < BigInt(min) || number > BigInt(max)) throw new Error(`${text} is out of range`);
+			// bigint parameters are passed as strings so they keep their precision
+			return key === 'BigInt' ? number.toString() : Number(number);
+		}
+		case 'Float':
+		case 'Real':
+		case 'Decimal':
+		case 'Numeric':
+		case 'Money':
+		case 'SmallMoney': {
+			const number = typeof text === 'number' ? text : Number(text);
+			if (text === '' || !Number.isFinite(number)) throw new Error('expected a number');
+			return number;
+		}
+		case 'Date':
+		case 'DateTime':
+		case 'DateTime2':
+		case 'SmallDateTime':
+		case 'DateTimeOffset': {
+			const date = text instanceof Date ? text : new Date(String(text));
+			if (Number.isNaN(date.getTime())) throw new Error('expected an ISO 8601 date');
+			return date;
+		}
+		case 'Time': {
+			const match = /^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?$/.exec(String(text));
+			if (!match) throw new Error('expected a time as HH:MM:SS');
+			const [, hours, minutes, seconds = '0', millis = '0'] = match;
+			return new Date(Date.UTC(1970, 0, 1, +hours, +minutes, +seconds, +millis.padEnd(3, '0')));
+		}
+		case 'UniqueIdentifier':
+			if (!/^\{?[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\}?$/i.test(String(text))) {
+				throw new Error('expected a GUID');
+			}
+			return String(text);
+		default: {
+			const string = String(value);
+			const [length] = args;
+			if (length !== undefined && length !== mssql.MAX && string.length > length) {
+				throw new Error(`value is ${string.length} characters long`);
+			}
+			return string;
+		}
+	}
+};
+
+/**
+ * @param {string} key
+ * @param {Array<number | undefined>} args
+ * @returns {mssql.ISqlType}
+ */
+const buildSqlType = (key, [first, second]) => {
+	const factory = mssql.TYPES[key];
+	switch (key) {
+		case 'Decimal':
+		case 'Numeric':
+			return factory(first ?? 18, second ?? 0);
+		case 'Char':
+		case 'NChar':
+		case 'VarChar':
+		case 'NVarChar':
+			return factory(first ?? mssql.MAX);
+		case 'DateTime2':
+		case 'DateTimeOffset':
+		case 'Time':
+			return factory(first ?? 7);
+		default:
+			return factory();
+	}
+};
+
+/**
+ * Parse parameters written one per line as `name type = value`, or `name = value`,
+ * which is how they are entered in the settings UI
+ * @param {string} text
+ * @returns {Record<string, ParameterDeclaration | string>}
+ */
+const parseParameterLines = (text) => {
+	/** @type {Record<string, ParameterDeclaration | string>} */
+	const declared = {};
+	for (const line of text.split(/\r?\n/)) {
+		if (!line.trim() || line.trim().startsWith('#')) continue;
+		const match = /^\s*@?(\S+?)(?:\s+([^=]*?))?\s*=\s*(.*?)\s*$/.exec(line);
+		if (!match) throw new Error(`Invalid parameter "${line.trim()}", expected name type = value`);
+		const [, name, type, value] = match;
+		declared[name] = type ? { type, value } : value;
+	}
+	return declared;
+};
+
+/**
+ * Validate parameter declarations and convert them to bound parameters
+ * @param {Record<string, unknown>} declared - Values, or `{ type, value }` declarations, by name
+ * @returns {Map<string, BoundParameter>} keyed by lower case name
+ */
+const bindParameters = (declared) => {
+	/** @type {Map<string, BoundParameter>} */
+	const parameters = new Map();
+	for (const [rawName, declaration] of Object.entries(declared)) {
+		const name = rawName.replace(/^@/, '');
+		if (!/^[A-Za-z_][\w]*$/.test(name)) throw new Error(`Invalid parameter name @${name}`);
+
+		const isDeclaration = declaration !== null && typeof declaration === 'object' && !(declaration instanceof Date);
+		const value = isDeclaration ? declaration.value : declaration;
+		const typeString = isDeclaration && declaration.type ? declaration.type : inferParameterType(value);
+		try {
+			if (value === undefined) throw new Error('no value given');
+			const { key, args } = parseParameterType(typeString);
+			parameters.set(name.toLowerCase(), { name, type: buildSqlType(key, args), value: coerceValue(key, args, value) });
+		} catch (err) {
+			throw new Error(`Parameter @${name} (${typeString}): ${err.message}`);
+		}
+	}
+	return parameters;
+};
+
+/**
+ * Validate the `parameters` option of a source and convert every declaration to a bound parameter
+ * @param {Record<string, any>} opts
+ * @returns {Map<string, BoundParameter>} keyed by lower case name
+ */
+const resolveParameters = (opts) => {
+	const declared = typeof opts.parameters === 'string' ? parseParameterLines(opts.parameters) : opts.parameters ?? {};
+	if (typeof declared !== 'object' || Array.isArray(declared)) {
+		throw new Error('parameters must be a map of parameter names to values or { type, value } declarations');
+	}
+	return bindParameters(declared);
+};
+
+/**
+ * @param {string} typeString - e.g. `int`, `nvarchar(50)`, `decimal(18,2)`
+ * @returns {mssql.ISqlType}
+ */
+const parseSqlType = (typeString) => {
+	const { key, args } = parseParameterType(typeString);
+	return buildSqlType(key, args);
+};
+
+/**
+ * Write a parameter's type the way T-SQL declares it, e.g. `nvarchar(50)` or `decimal(18,2)`
+ * @param {mssql.ISqlType} sqlType - As built by `parseSqlType` or `bindParameters`
+ * @returns {string}
+ */
+const declareSqlType = (sqlType) => {
+	const { type, length, precision, scale } = /** @type {any} */ (sqlType);
+	const name = type.declaration;
+	switch (name) {
+		case 'char':
+		case 'nchar':
+		case 'varchar':
+		case 'nvarchar':
+			return `${name}(${length === undefined || length === mssql.MAX ? 'max' : length})`;
+		case 'decimal':
+		case 'numeric':
+			return `${name}(${precision ?? 18},${scale ?? 0})`;
+		case 'datetime2':
+		case 'datetimeoffset':
+		case 'time':
+			return `${name}(${scale ?? 7})`;
+		default:
+			return name;
+	}
+};
+
+/**
+ * Variables a query references, outside of comments, literals and quoted identifiers.
+ * System functions (@@ROWCOUNT) and variables the query declares itself are left out.
+ * @param {string} sql
+ * @returns {string[]}
+ */
+const referencedVariables = (sql) => {
+	let code = '';
+	let i = 0;
+	while (i < sql.length) {
+		const ch = sql[i];
+		const next = sql[i + 1];
+		if (ch === '-' && next === '-') {
+			const end = sql.indexOf('\n', i);
+			i = end === -1 ? sql.length : end;
+		} else if (ch === '/' && next === '*') {
+			const end = sql.indexOf('*/', i + 2);
+			i = end === -1 ? sql.length : end + 2;
+			code += ' ';
+		} else if (ch === "'" || ch === '"' || ch === '[') {
+			const close = ch === '[' ? ']' : ch;
+			i++;
+			while (i < sql.length) {
+				if (sql[i] === close && sql[i + 1] === close) i += 2;
+				else if (sql[i] === close) break;
+				else i++;
+			}
+			i++;
+			code += ' ';
+		} else {
+			code += ch;
+			i++;
+		}
+	}
+
+	const names = new Set();
+	for (const [, name] of code.matchAll(/(?<![@\w])@([A-Za-z_]\w*)/g)) names.add(name);
+
+	return Array.from(names).filter((name) => {
+		const declaredFirst = new RegExp(`\\bDECLARE\\s+@${name}\\b`, 'i');
+		const declaredLater = new RegExp(`\\bDECLARE\\b[^;]*,\\s*@${name}\\s+(AS\\s+)?[A-Za-z]`, 'i');
+		return !declaredFirst.test(code) && !declaredLater.test(code);
+	});
+};
+
+/**
+ * The parameters to bind for a query: every variable it references must be declared in the
+ * source's `parameters` option, or be one of the names bound by the connector itself.
+ * @param {string} queryString
+ * @param {Record<string, any>} opts
+ * @param {string[]} [boundNames] - Parameters the connector binds itself
+ * @returns {BoundParameter[]}
+ */
+const resolveQueryParameters = (queryString, opts, boundNames = []) => {
+	const parameters = resolveParameters(opts);
+	const bound = boundNames.map((name) => name.toLowerCase());
+
+	const inputs = [];
+	const missing = [];
+	for (const name of referencedVariables(queryString)) {
+		if (bound.includes(name.toLowerCase())) continue;
+		const parameter = parameters.get(name.toLowerCase());
+		if (parameter) inputs.push(parameter);
+		else missing.push(`@${name}`);
+	}
+	if (missing.length) {
+		throw new Error(`Query uses ${missing.join(', ')}, which ${missing.length === 1 ? 'is' : 'are'} not declared in the source's parameters`);
+	}
+	return inputs;
+};
+
+module.exports = {
+	parseParameterLines,
+	bindParameters,
+	resolveParameters,
+	resolveQueryParameters,
+	referencedVariables,
+	parseSqlType,
+	declareSqlType
+};
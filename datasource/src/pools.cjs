@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const mssql = require('mssql');
+const { isFailoverError } = require('./errors.cjs');
+
+/**
+ * Keys of the mssql config that carry secrets rather than describe the connection target.
+ * Two configs that differ only in these keys are the same source with rotated credentials.
+ */
+const SECRET_KEYS = ['password', 'token', 'clientSecret'];
+
+/** Milliseconds an unused pool is kept open before it is closed */
+const DEFAULT_IDLE_TIMEOUT = 60000;
+
+/**
+ * @typedef {Object} PoolEntry
+ * @property {string} key - Hash of the full normalised config
+ * @property {string} identity - Hash of the normalised config without secrets
+ * @property {mssql.ConnectionPool} pool
+ * @property {Promise<mssql.ConnectionPool>} ready - Resolves once the pool is connected
+ * @property {number} active - Number of outstanding leases
+ * @property {boolean} evicted - Close as soon as the last lease is released
+ * @property {NodeJS.Timeout | null} idleTimer
+ */
+
+/** @type {Map<string, PoolEntry>} */
+const pools = new Map();
+
+/** @type {Map<string, string>} identity -> key of the pool currently serving it */
+const identities = new Map();
+
+/** @type {Set<PoolEntry>} evicted pools still waiting for their leases to end */
+const draining = new Set();
+
+/**
+ * Serialise a value with sorted object keys, so equivalent configs produce identical strings
+ * @param {unknown} value
+ * @returns {string}
+ */
+const stableStringify = (value) => {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		const entries = Object.keys(value)
+			.sort()
+			.filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+			.map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+		return `{${entries.join(',')}}`;
+	}
+	return JSON.stringify(value) ?? 'null';
+};
+
+/**
+ * Deep copy of a config with every secret key removed
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+const withoutSecrets = (value) => {
+	if (Array.isArray(value)) return value.map(withoutSecrets);
+	if (value && typeof value === 'object') {
+		return Object.fromEntries(
+			Object.entries(value)
+				.filter(([key]) => !SECRET_KEYS.includes(key))
+				.map(([key, v]) => [key, withoutSecrets(v)])
+		);
+	}
+	return value;
+};
+
+const hash = (str) => crypto.createHash('sha256').update(str).digest('hex');
+
+/**
+ * Close a pool and remove it from the registry
+ * @param {PoolEntry} entry
+ * @returns {Promise<void>}
+ */
+const closeEntry = async (entry) => {
+	if (entry.idleTimer) clearTimeout(entry.idleTimer);
+	entry.idleTimer = null;
+	if (pools.get(entry.key) === entry) pools.delete(entry.key);
+	if (identities.get(entry.identity) === entry.key) identities.delete(entry.identity);
+	draining.delete(entry);
+	try {
+		await entry.ready;
+		await entry.pool.close();
+	} catch {
+		// Pools that failed to connect, or are already closed, have nothing left to release
+	}
+};
+
+/**
+ * Take a pool out of service; it is closed immediately if unused, otherwise when its last lease ends
+ * @param {PoolEntry} entry
+ */
+const evictEntry = (entry) => {
+	entry.evicted = true;
+	if (pools.get(entry.key) === entry) pools.delete(entry.key);
+	if (identities.get(entry.identity) === entry.key) identities.delete(entry.identity);
+	if (entry.active === 0) closeEntry(entry);
+	else draining.add(entry);
+};
+
+/**
+ * @param {mssql.config & { failoverPartner?: string }} config - `failoverPartner` is connected to
+ *   when `server` can't be reached or is not the primary, like the ADO.NET setting of that name
+ * @returns {PoolEntry}
+ */
+const createEntry = (config) => {
+	const normalised = stableStringify(config);
+	const { failoverPartner, ...primary } = config;
+
+	/** @param {mssql.config} poolConfig */
+	const createPool = (poolConfig) => {
+		const pool = new mssql.ConnectionPool(poolConfig);
+		pool.on('error', (err) => {
+			console.log(`Connection pool for ${poolConfig.server}/${poolConfig.database} errored: ${err.message}`);
+			evictEntry(entry);
+		});
+		return pool;
+	};
+
+	/** @type {PoolEntry} */
+	const entry = {
+		key: hash(normalised),
+		identity: hash(stableStringify(withoutSecrets(config))),
+		pool: /** @type {any} */ (null),
+		ready: Promise.resolve(/** @type {any} */ (null)),
+		active: 0,
+		evicted: false,
+		idleTimer: null
+	};
+	entry.pool = createPool(primary);
+
+	const connect = async () => {
+		try {
+			return await entry.pool.connect();
+		} catch (err) {
+			if (!failoverPartner || !isFailoverError(err)) throw err;
+			console.log(`Could not connect to ${primary.server} (${err.message}); trying failover partner ${failoverPartner}`);
+			entry.pool = createPool({ ...primary, server: failoverPartner });
+			return await entry.pool.connect();
+		}
+	};
+
+	entry.ready = connect().catch((err) => {
+		// Don't cache failed connections, the next lease will try again
+		evictEntry(entry);
+		throw err;
+	});
+
+	return entry;
+};
+
+/**
+ * Lease a connected pool for the given config, creating one if needed.
+ * Each distinct config gets its own pool. When a config appears whose only difference from an
+ * existing pool is its credentials, the old pool is evicted in favour of the new one.
+ *
+ * The caller must call `release` exactly once when it no longer needs the pool.
+ *
+ * @param {mssql.config} config - Result of `buildConfig`
+ * @param {Object} [options]
+ * @param {number} [options.idleTimeout] - Milliseconds to keep the pool open after its last release
+ * @returns {Promise<{ pool: mssql.ConnectionPool, release: () => void }>}
+ */
+const acquirePool = async (config, { idleTimeout = DEFAULT_IDLE_TIMEOUT } = {}) => {
+	const key = hash(stableStringify(config));
+	let entry = pools.get(key);
+
+	if (!entry) {
+		entry = createEntry(config);
+		const previousKey = identities.get(entry.identity);
+		if (previousKey && previousKey !== key) {
+			const previous = pools.get(previousKey);
+			if (previous) {
+				console.log(`Credentials changed for ${config.server}/${config.database}; replacing connection pool`);
+				evictEntry(previous);
+			}
+		}
+		pools.set(key, entry);
+		identities.set(entry.identity, key);
+	}
+
+	const leased = entry;
+	leased.active++;
+	if (leased.idleTimer) {
+		clearTimeout(leased.idleTimer);
+		leased.idleTimer = null;
+	}
+
+	let released = false;
+	const release = () => {
+		if (released) return;
+		released = true;
+		leased.active--;
+		if (leased.active > 0) return;
+		if (leased.evicted) {
+			closeEntry(leased);
+		} else {
+			leased.idleTimer = setTimeout(() => closeEntry(leased), idleTimeout);
+			// An idle pool should never be what keeps the process alive
+			leased.idleTimer.unref();
+		}
+	};
+
+	try {
+		const pool = await leased.ready;
+		return { pool, release };
+	} catch (err) {
+		release();
+		throw err;
+	}
+};
+
+/**
+ * Close every pool in the registry
+ * @returns {Promise<void>}
+ */
+const closeAllPools = async () => {
+	await Promise.all([...pools.values(), ...draining].map(closeEntry));
+};
+
+process.on('beforeExit', () => {
+	if (pools.size || draining.size) closeAllPools();
+});
+
+process.on('exit', () => {
+	// Synchronous best effort; sockets are torn down with the process regardless
+	for (const entry of [...pools.values(), ...draining]) {
+		entry.ready.then((pool) => pool.close()).catch(() => {});
+	}
+});
+
+module.exports = {
+	acquirePool,
+	closeAllPools,
+	stableStringify
+};
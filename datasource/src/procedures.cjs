@@ -0,0 +1,84 @@
+const { parseDirectives, parseRepeatedDirective } = require('./directives.cjs');
+const { parseParameterLines, bindParameters, resolveParameters, parseSqlType } = require('./parameters.cjs');
+
+/**
+ * @typedef {Object} ProcedureOutput
+ * @property {string} name - Without the leading @
+ * @property {import('mssql').ISqlType} type
+ */
+
+/**
+ * @typedef {Object} ProcedureCall
+ * @property {string} procedure - Name of the procedure, optionally schema qualified
+ * @property {import('./parameters.cjs').BoundParameter[]} inputs
+ * @property {ProcedureOutput[]} outputs
+ * @property {number} recordset - Result set to extract, 1 for the first
+ * @property {boolean} outputTable - Whether output parameters and the return value are extracted as a table
+ */
+
+/**
+ * Read a stored procedure call from the header of a query file:
+ *
+ * @example
+ * -- @procedure reporting.usp_sales_summary
+ * -- @param start_date date = 2024-01-01
+ * -- @param region
+ * -- @output total_orders int
+ * -- @recordset 2
+ *
+ * `@param` lines take the same `name type = value` form as the `parameters` option; a bare name
+ * takes its value from that option. The file must not contain any SQL besides the header.
+ *
+ * @param {string} queryString
+ * @param {Record<string, any>} opts
+ * @returns {ProcedureCall | null} null when the file is not a procedure call
+ */
+const parseProcedureCall = (queryString, opts) => {
+	const directives = parseDirectives(queryString);
+	if (!directives.procedure) return null;
+
+	const body = queryString.replace(/\/\*[\s\S]*?\*\//g, '').replace(/--.*$/gm, '');
+	if (body.trim()) {
+		throw new Error('A query with a @procedure header cannot contain SQL, remove either the SQL or the header');
+	}
+	if (directives.watermark) {
+		throw new Error('A @procedure call cannot be extracted incrementally with a @watermark');
+	}
+
+	const lines = parseRepeatedDirective(queryString, 'param');
+	const sourceParameters = lines.some((line) => !line.includes('=')) ? resolveParameters(opts) : new Map();
+	const inputs = Array.from(bindParameters(parseParameterLines(lines.filter((line) => line.includes('=')).join('\n'))).values());
+	for (const line of lines.filter((line) => !line.includes('='))) {
+		const name = line.replace(/^@/, '');
+		const parameter = sourceParameters.get(name.toLowerCase());
+		if (!parameter) throw new Error(`Procedure parameter @${name} has no value and is not declared in the source's parameters`);
+		inputs.push(parameter);
+	}
+
+	const outputs = parseRepeatedDirective(queryString, 'output').map((line) => {
+		const match = /^@?([A-Za-z_]\w*)\s+(.+)$/.exec(line);
+		if (!match) throw new Error(`Invalid @output "${line}", expected a name and a type`);
+		try {
+			return { name: match[1], type: parseSqlType(match[2]) };
+		} catch (err) {
+			throw new Error(`Output parameter @${match[1]}: ${err.message}`);
+		}
+	});
+
+	const recordset = directives.recordset === undefined ? 1 : Number(directives.recordset);
+	if (!Number.isInteger(recordset) || recordset < 1) {
+		throw new Error(`Invalid @recordset "${directives.recordset}", expected 1 for the first result set, 2 for the second, ...`);
+	}
+
+	return {
+		procedure: directives.procedure,
+		inputs,
+		outputs,
+		recordset,
+		outputTable: outputs.length > 0 || 'return_value' in directives
+	};
+};
+
+module.exports = {
+	parseProcedureCall
+};
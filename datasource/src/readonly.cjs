@@ -0,0 +1,350 @@
+const { globToRegExp } = require('./tables.cjs');
+
+/**
+ * @typedef {Object} Token
+ * @property {string} value - Words in upper case, identifiers without their [brackets] or "quotes"
+ * @property {string} text - As written, without the quotes
+ * @property {'word' | 'identifier' | 'literal' | 'symbol'} kind - identifier only for quoted names
+ * @property {number} line - 1 for the first line
+ */
+
+/**
+ * @typedef {Object} WriteStatement
+ * @property {string} statement - e.g. `DELETE` or `CREATE VIEW`
+ * @property {string} [target] - Object written to, when there is one
+ * @property {number} line
+ */
+
+/** Statements that change data, schema, permissions or the server, whatever their target */
+const ALWAYS_WRITES = [
+	'GRANT',
+	'REVOKE',
+	'DENY',
+	'BULK',
+	'BACKUP',
+	'RESTORE',
+	'DBCC',
+	'KILL',
+	'SHUTDOWN',
+	'RECONFIGURE',
+	'WRITETEXT',
+	'UPDATETEXT',
+	'SETUSER'
+];
+
+/** Words after which a statement starts, as in BEGIN TRY ... or IF ... ELSE ... */
+const STATEMENT_PRECEDERS = ['BEGIN', 'TRY', 'CATCH', 'ELSE', 'GO'];
+
+/** Words followed by an expression or a name, never by a new statement */
+const OPERAND_PRECEDERS = ['SELECT', 'DISTINCT', 'ALL', 'TOP', 'PERCENT', 'AS', 'FROM', 'JOIN', 'APPLY', 'WHERE', 'AND', 'OR', 'NOT', 'BY', 'HAVING', 'SET', 'CASE', 'WHEN', 'THEN', 'IN', 'IS', 'LIKE', 'BETWEEN', 'EXISTS', 'INTO', 'VALUES', 'OVER', 'WITH'];
+
+/** Words an IF or WHILE condition can have outside of parentheses, besides variables and functions */
+const CONDITION_WORDS = ['AND', 'OR', 'NOT', 'EXISTS', 'IN', 'IS', 'NULL', 'LIKE', 'BETWEEN'];
+
+/** Words a batch can start with that don't run a procedure; any other word is an implicit EXEC */
+const STATEMENT_KEYWORDS = ['SELECT', 'WITH', 'DECLARE', 'SET', 'IF', 'BEGIN', 'WHILE', 'PRINT', 'RAISERROR', 'THROW', 'USE', 'OPEN', 'FETCH', 'CLOSE', 'DEALLOCATE', 'RETURN', 'WAITFOR', 'GOTO', 'TRY', 'CATCH', 'COMMIT', 'ROLLBACK', 'SAVE', 'GO'];
+
+/**
+ * Split SQL into words, quoted identifiers, literals and symbols, dropping comments
+ * @param {string} sql
+ * @returns {Token[]}
+ */
+const tokenize = (sql) => {
+	/** @type {Token[]} */
+	const tokens = [];
+	let line = 1;
+	let i = 0;
+	/** @param {number} end */
+	const skipTo = (end) => {
+		for (; i < end; i++) if (sql[i] === '\n') line++;
+	};
+	while (i < sql.length) {
+		const ch = sql[i];
+		const rest = sql.slice(i, i + 2);
+		if (rest === '--') {
+			const end = sql.indexOf('\n', i);
+			skipTo(end === -1 ? sql.length : end);
+		} else if (rest === '/*') {
+			const end = sql.indexOf('*/', i + 2);
+			skipTo(end === -1 ? sql.length : end + 2);
+		} else if (ch === "'" || ch === '[' || ch === '"') {
+			const close = ch === '[' ? ']' : ch;
+			let end = i + 1;
+			let value = '';
+			while (end < sql.length) {
+				if (sql[end] === close && sql[end + 1] === close) {
+					value += close;
+					end += 2;
+				} else if (sql[end] === close) {
+					break;
+				} else {
+					value += sql[end++];
+				}
+			}
+			tokens.push({ value, text: value, kind: ch === "'" ? 'literal' : 'identifier', line });
+			skipTo(end + 1);
+		} else if (/[A-Za-z_#@]/.test(ch)) {
+			const match = /^[A-Za-z_#@$][\w#@$]*/.exec(sql.slice(i));
+			const word = /** @type {RegExpExecArray} */ (match)[0];
+			tokens.push({ value: word.toUpperCase(), text: word, kind: 'word', line });
+			i += word.length;
+		} else if (/\d/.test(ch)) {
+			const number = /** @type {RegExpExecArray} */ (/^(0x[\da-f]*|\d+(\.\d*)?(e[+-]?\d+)?)/i.exec(sql.slice(i)))[0];
+			tokens.push({ value: number, text: number, kind: 'literal', line });
+			i += number.length;
+		} else if (/\s/.test(ch)) {
+			skipTo(i + 1);
+		} else {
+			tokens.push({ value: ch, text: ch, kind: 'symbol', line });
+			i++;
+		}
+	}
+	return tokens;
+};
+
+/**
+ * Find the SQL statements in a query that write data, change schema or run code the query
+ * can't be checked for, such as procedures and dynamic SQL. Temporary tables and table
+ * variables may be written to freely.
+ * @param {string} sql
+ * @returns {WriteStatement[]}
+ */
+const findWriteStatements = (sql) => {
+	const tokens = tokenize(sql);
+	/** @type {WriteStatement[]} */
+	const found = [];
+	let i = 0;
+
+	const peek = (offset = 0) => tokens[i + offset];
+	/** @param {...string} words */
+	const accept = (...words) => {
+		if (peek()?.kind === 'word' && words.includes(peek().value)) return tokens[i++].value;
+		return undefined;
+	};
+	// TOP (n) [PERCENT] between the verb and its target
+	const skipTop = () => {
+		if (!accept('TOP')) return;
+		if (peek()?.value === '(') {
+			let depth = 0;
+			do {
+				if (peek().value === '(') depth++;
+				if (peek().value === ')') depth--;
+				i++;
+			} while (i < tokens.length && depth > 0);
+		} else if (peek()?.kind === 'literal') i++;
+		accept('PERCENT');
+	};
+	/** A possibly qualified name, e.g. `tempdb..#orders` or `[sales].[orders]` */
+	const readName = () => {
+		const parts = [];
+		let expectName = true;
+		while (peek()) {
+			if (peek().value === '.') {
+				// An empty part, as in tempdb..#orders
+				if (expectName) parts.push('');
+				expectName = true;
+				i++;
+			} else if ((peek().kind === 'word' || peek().kind === 'identifier') && expectName) {
+				parts.push(peek().text);
+				expectName = false;
+				i++;
+			} else {
+				break;
+			}
+		}
+		return parts.filter(Boolean);
+	};
+	/**
+	 * @param {string} statement
+	 * @param {number} line
+	 */
+	const writeTo = (statement, line) => {
+		const parts = readName();
+		const target = parts[parts.length - 1];
+		if (target && /^[#@]/.test(target)) return;
+		found.push({ statement, target: parts.join('.') || undefined, line });
+	};
+	/**
+	 * Whether the tokens before `end` are an IF or WHILE condition, so what follows is its statement
+	 * @param {number} end
+	 */
+	const followsCondition = (end) => {
+		let depth = 0;
+		for (let j = end - 1; j >= 0; j--) {
+			const { value, kind } = tokens[j];
+			if (value === ')') depth++;
+			else if (value === '(' && --depth < 0) return false;
+			else if (depth > 0 || kind === 'literal') continue;
+			else if (value === ';') return false;
+			else if (value === 'IF' || value === 'WHILE') return true;
+			// Variables, and the names of functions and their schemas
+			else if (kind !== 'word' || value.startsWith('@') || ['(', '.'].includes(tokens[j + 1]?.value)) continue;
+			else if (!CONDITION_WORDS.includes(value)) return false;
+		}
+		return false;
+	};
+	/**
+	 * Whether the word just read starts a statement, rather than being a column or alias that
+	 * shares its name with a keyword, as in `SELECT backup` or `kill_count AS kill`. Without a `;`,
+	 * a statement is only told apart from an alias when it starts a line or follows a condition.
+	 */
+	const startsStatement = () => {
+		const word = tokens[i - 1];
+		const previous = tokens[i - 2];
+		if (!previous || previous.value === ';') return true;
+		if (previous.kind === 'word' && STATEMENT_PRECEDERS.includes(previous.value)) return true;
+		if (peek()?.value === '.') return false;
+		// Only a value or a name can end the statement or condition before
+		if (previous.kind === 'symbol' ? previous.value !== ')' : previous.kind === 'word' && OPERAND_PRECEDERS.includes(previous.value)) {
+			return false;
+		}
+		return previous.line !== word.line || followsCondition(i - 1);
+	};
+
+	if (tokens[0]?.kind === 'word' && !STATEMENT_KEYWORDS.includes(tokens[0].value) && !/^[#@]/.test(tokens[0].value)) {
+		// A batch that starts with a name runs it as a procedure
+		const isStatement = ['INSERT', 'UPDATE', 'DELETE', 'MERGE', 'TRUNCATE', 'DROP', 'CREATE', 'ALTER', 'EXEC', 'EXECUTE', 'ENABLE', 'DISABLE', ...ALWAYS_WRITES];
+		if (!isStatement.includes(tokens[0].value)) found.push({ statement: 'EXEC', target: tokens[0].text, line: tokens[0].line });
+	}
+
+	while (i < tokens.length) {
+		const token = tokens[i++];
+		if (token.kind !== 'word') continue;
+		const previous = tokens[i - 2];
+		// A qualified name's part or an alias that happens to be a keyword, as in SELECT x.update
+		if (previous?.value === '.' || (previous?.kind === 'word' && previous.value === 'AS')) continue;
+		switch (token.value) {
+			case 'INSERT':
+				skipTop();
+				accept('INTO');
+				writeTo('INSERT', token.line);
+				break;
+			case 'UPDATE':
+				// A cursor declared FOR UPDATE writes nothing by itself
+				if (previous?.value === 'FOR') break;
+				// UPDATE STATISTICS writes statistics, anything else names the table
+				if (accept('STATISTICS')) found.push({ statement: 'UPDATE STATISTICS', line: token.line });
+				else {
+					skipTop();
+					writeTo('UPDATE', token.line);
+				}
+				break;
+			case 'DELETE':
+				skipTop();
+				accept('FROM');
+				writeTo('DELETE', token.line);
+				break;
+			case 'MERGE':
+				skipTop();
+				accept('INTO');
+				writeTo('MERGE', token.line);
+				break;
+			case 'INTO':
+				// SELECT ... INTO and FETCH ... INTO; INSERT and MERGE take their INTO above
+				writeTo('SELECT INTO', token.line);
+				break;
+			case 'TRUNCATE':
+				accept('TABLE');
+				writeTo('TRUNCATE TABLE', token.line);
+				break;
+			case 'CREATE':
+			case 'ALTER':
+			case 'DROP': {
+				if (accept('OR')) accept('ALTER');
+				accept('UNIQUE');
+				accept('CLUSTERED', 'NONCLUSTERED');
+				const kind = peek()?.kind === 'word' ? tokens[i++].value : '';
+				const statement = `${token.value} ${kind}`.trim();
+				if (kind === 'TABLE') {
+					if (accept('IF')) accept('EXISTS');
+					writeTo(statement, token.line);
+				} else if (kind === 'INDEX' && token.value !== 'ALTER') {
+					// Indexes on temporary tables are fine: CREATE INDEX ix ON #t, DROP INDEX ix ON #t
+					while (peek() && !(peek().kind === 'word' && peek().value === 'ON')) i++;
+					i++;
+					writeTo(statement, token.line);
+				} else {
+					found.push({ statement, line: token.line });
+				}
+				break;
+			}
+			case 'EXEC':
+			case 'EXECUTE': {
+				// EXEC @result = proc: the variable is not what runs
+				if (peek()?.value.startsWith('@') && tokens[i + 1]?.value === '=') i += 2;
+				const parts = peek()?.value === '(' ? ['dynamic SQL'] : readName();
+				found.push({ statement: 'EXEC', target: parts.join('.') || undefined, line: token.line });
+				break;
+			}
+			case 'ENABLE':
+			case 'DISABLE':
+				if (accept('TRIGGER')) found.push({ statement: `${token.value} TRIGGER`, line: token.line });
+				break;
+			default:
+				if (ALWAYS_WRITES.includes(token.value) && startsStatement()) {
+					found.push({ statement: token.value, line: token.line });
+				}
+		}
+	}
+	return found;
+};
+
+/**
+ * Whether a source runs in read-only mode
+ * @param {Record<string, any>} opts
+ * @returns {boolean}
+ */
+const isReadOnly = (opts) => opts.read_only === true || opts.read_only === 'true';
+
+/**
+ * Normalise the read_only_allow option, given as a list or one pattern per line
+ * @param {unknown} value
+ * @returns {RegExp[]}
+ */
+const parseAllowList = (value) => {
+	const entries = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[\n,]/) : [];
+	return entries
+		.map((entry) => String(entry).trim().replace(/\\/g, '/'))
+		.filter(Boolean)
+		.map((pattern) => globToRegExp(pattern));
+};
+
+/**
+ * Whether a query file is allowed to write despite read-only mode. Patterns match the file's path
+ * within the source, or its name with or without `.sql`.
+ * @param {Record<string, any>} opts
+ * @param {{ path?: string, name?: string }} file
+ * @returns {boolean}
+ */
+const isWriteAllowed = (opts, { path, name }) => {
+	const file = path?.split(/[\\/]/).pop();
+	const candidates = [path?.replace(/\\/g, '/'), file, file?.replace(/\.sql$/i, ''), name].filter(Boolean);
+	return parseAllowList(opts.read_only_allow).some((pattern) => candidates.some((candidate) => pattern.test(candidate)));
+};
+
+/**
+ * Reject a query that writes, before it is sent, when the source is read-only
+ * @param {string} queryString
+ * @param {Record<string, any>} opts
+ * @param {{ path?: string, name?: string }} file - The query file, to name it in the error
+ */
+const assertReadOnly = (queryString, opts, file) => {
+	if (!isReadOnly(opts) || isWriteAllowed(opts, file)) return;
+	const writes = findWriteStatements(queryString);
+	if (!writes.length) return;
+	const described = writes
+		.slice(0, 3)
+		.map(({ statement, target, line }) => `${statement}${target ? ` ${target}` : ''} at line ${line}`)
+		.join(', ');
+	throw new Error(
+		`${file.path ?? file.name ?? 'The query'} is not read-only (${described}${writes.length > 3 ? ', ...' : ''}). ` +
+			'The source has read_only set; list the file in read_only_allow if it really needs to write, e.g. to temporary tables'
+	);
+};
+
+module.exports = {
+	findWriteStatements,
+	isReadOnly,
+	isWriteAllowed,
+	assertReadOnly
+};
@@ -0,0 +1,147 @@
+const { Readable } = require('stream');
+const { nameColumns } = require('./columns.cjs');
+
+/**
+ * @typedef {Object} Recordset
+ * @property {number} position - 1 for the first result set
+ * @property {import('mssql').IColumnMetadata} columns - By the names given by `nameColumns`
+ * @property {import('./columns.cjs').ColumnRename[]} renames - Columns whose name had to change
+ * @property {Readable} stream - Rows of this result set only
+ */
+
+/**
+ * @typedef {Object} RecordsetReader
+ * @property {() => Promise<Recordset | null>} next - The next result set, or null once the request is done
+ * @property {() => void} discardRemaining - Drop the rows of every result set not taken yet
+ * @property {() => void} cancel - Stop the query on the server; the stream being read ends with the cancellation error
+ */
+
+/**
+ * Split the rows of a streaming request into one stream per result set. Statements that return
+ * no columns, such as `SET NOCOUNT ON` or `SELECT ... INTO #temp`, do not produce a result set.
+ *
+ * Like `request.toReadableStream`, the request is paused while a stream is not being read, so
+ * each result set has to be read (or discarded) before the next one arrives.
+ *
+ * Rows are read as arrays, so columns without a name or with the same name as another are kept,
+ * and are then named as `nameColumns` does.
+ *
+ * @param {import('mssql').Request} request - A streaming request with `arrayRowMode`, that has been started
+ * @param {'as_is' | 'snake_case' | 'lowercase'} [columnNameStyle]
+ * @returns {RecordsetReader}
+ */
+const readRecordsets = (request, columnNameStyle = 'as_is') => {
+	/** @type {Array<{ resolve: (recordset: Recordset | null) => void, reject: (err: unknown) => void }>} */
+	const waiting = [];
+	/** @type {Recordset[]} */
+	const arrived = [];
+	/** @type {{ recordset: Recordset, toRow: (values: any) => Record<string, unknown>, ended: boolean, discard: boolean } | null} */
+	let current = null;
+	let position = 0;
+	let finished = false;
+	let discarding = false;
+	let cancelled = false;
+	/** @type {unknown} */
+	let failure = null;
+
+	const settle = () => {
+		while (waiting.length && (arrived.length || finished || failure)) {
+			const { resolve, reject } = /** @type {typeof waiting[number]} */ (waiting.shift());
+			if (arrived.length) resolve(/** @type {Recordset} */ (arrived.shift()));
+			else if (failure) reject(failure);
+			else resolve(null);
+		}
+	};
+	const endCurrent = () => {
+		if (!current || current.ended) return;
+		current.ended = true;
+		current.recordset.stream.push(null);
+	};
+
+	request.on('recordset', (metadata) => {
+		endCurrent();
+		const { columns, renames, toRow } = nameColumns(metadata, columnNameStyle);
+		position++;
+		const stream = new Readable({
+			objectMode: true,
+			read: () => request.resume()
+		});
+		// Errors are raised when the stream is read, which may be well after they happen
+		stream.on('error', () => {});
+		current = { recordset: { position, columns, renames, stream }, toRow, ended: false, discard: discarding };
+		if (discarding) stream.resume();
+		else arrived.push(current.recordset);
+		settle();
+	});
+	request.on('row', (row) => {
+		if (!current || current.ended || current.discard || cancelled) return;
+		if (!current.recordset.stream.push(current.toRow(row))) request.pause();
+	});
+	request.on('error', (err) => {
+		if (current && !current.ended && !current.discard) {
+			current.ended = true;
+			const index = arrived.indexOf(current.recordset);
+			// Once taken, the stream reports the error; one not taken yet is dropped and next() fails instead
+			if (index === -1) {
+				current.recordset.stream.destroy(/** @type {Error} */ (err));
+				finished = true;
+				settle();
+				return;
+			}
+			arrived.splice(index, 1);
+		}
+		failure ??= err;
+		settle();
+	});
+	request.on('done', () => {
+		endCurrent();
+		finished = true;
+		settle();
+	});
+
+	return {
+		next: () =>
+			new Promise((resolve, reject) => {
+				waiting.push({ resolve, reject });
+				settle();
+			}),
+		discardRemaining: () => {
+			discarding = true;
+			for (const recordset of arrived.splice(0)) {
+				if (current?.recordset === recordset) current.discard = true;
+				recordset.stream.resume();
+			}
+		},
+		cancel: () => {
+			if (finished || cancelled) return;
+			// Rows still on their way are dropped, rather than pausing the request until they're read
+			cancelled = true;
+			request.cancel();
+		}
+	};
+};
+
+/**
+ * Names for the tables made from a query's result sets: the first takes the query's own name
+ * and later ones get a numeric suffix, unless a `-- @result <name>` comment names them.
+ * Annotations apply to result sets in the order they appear in the file.
+ *
+ * @example
+ * -- @result orders
+ * SELECT * FROM sales.orders;
+ * -- @result order_lines
+ * SELECT * FROM sales.order_lines;
+ *
+ * @param {string} queryString
+ * @param {string} name - Name of the query
+ * @returns {(position: number) => string}
+ */
+const resultSetNames = (queryString, name) => {
+	const annotations = Array.from(queryString.matchAll(/^\s*--\s*@result\s+(\S+)/gim), (match) => match[1]);
+	return (position) => annotations[position - 1] ?? (position === 1 ? name : `${name}_${position}`);
+};
+
+module.exports = {
+	readRecordsets,
+	resultSetNames
+};
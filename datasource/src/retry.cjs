@@ -0,0 +1,130 @@
+const { isRetryableError } = require('./errors.cjs');
+
+/**
+ * Delay before retry number `attempt`: exponential backoff with jitter, so sources that
+ * failed together don't retry in lockstep
+ * @param {number} attempt - 1 for the first retry
+ * @param {number} delay - Initial delay in ms
+ * @param {number} backoffFactor
+ * @returns {number}
+ */
+const backoff = (attempt, delay, backoffFactor) => {
+	const base = delay * Math.pow(backoffFactor, attempt - 1);
+	return Math.round(base / 2 + Math.random() * (base / 2));
+};
+
+/**
+ * Retry an async function with jittered exponential backoff
+ * @param {Function} fn - The async function to retry
+ * @param {Object} options - Retry options
+ * @param {number} options.retries - Max number of retries (default: 3)
+ * @param {number} options.delay - Initial delay in ms (default: 1000)
+ * @param {number} options.backoffFactor - Multiplier for exponential backoff (default: 2)
+ * @param {(err: any) => boolean} options.isRetryable - Whether an error is worth another attempt (default: transient mssql errors)
+ * @returns {Promise<any>} - Result of the function
+ */
+async function retry(fn, { retries = 3, delay = 1000, backoffFactor = 2, isRetryable = isRetryableError } = {}) {
+	let lastError;
+	for (let attempt = 1; attempt <= retries + 1; attempt++) {
+		try {
+			return await fn();
+		} catch (err) {
+			// Normalise error
+			if (!(err instanceof Error)) {
+				if (typeof err === 'string') {
+					err = new Error(err);
+				} else if (err && typeof err.toString === 'function') {
+					err = new Error(err.toString());
+				} else {
+					err = new Error('Unknown error');
+				}
+			}
+
+			lastError = err;
+			const errorMessage = err.message || err.toString();
+
+			if (!isRetryable(err) || attempt === retries + 1) {
+				throw lastError; // No more retries or non-retryable error
+			}
+
+			const waitTime = backoff(attempt, delay, backoffFactor);
+			console.log(`Attempt ${attempt} failed: ${errorMessage}. Retrying in ${waitTime}ms...`);
+			await new Promise(resolve => setTimeout(resolve, waitTime));
+		}
+	}
+}
+
+/**
+ * @typedef {Object} ResumeOptions
+ * @property {(after?: unknown) => Promise<import('@evidence-dev/db-commons').QueryResult>} [restart]
+ *   Run the query again, for the rows after the given resume key value, or from the start without one
+ * @property {string} [resumeKey] - Unique column the rows are ordered by
+ * @property {(row: Record<string, unknown>) => unknown} [keyOf]
+ *   The resume key value a row was read with, before it was formatted; its formatted value by default
+ * @property {number} [retries]
+ * @property {number} [delay]
+ * @property {number} [backoffFactor]
+ */
+
+/**
+ * Handle transient failures while rows are being streamed. Rows already handed to Evidence
+ * can't be taken back, so a failure is only retried when it can't duplicate them:
+ * - before the first batch is read the query is simply run again
+ * - after that it resumes from the last `resumeKey` value read, if there is one
+ * - otherwise it fails with an error saying the results are incomplete
+ *
+ * @param {import('@evidence-dev/db-commons').QueryResult} result
+ * @param {ResumeOptions} options
+ * @returns {import('@evidence-dev/db-commons').QueryResult}
+ */
+const resumeOnFailure = (result, { restart, resumeKey, keyOf = (row) => row[resumeKey ?? ''], retries = 3, delay = 1000, backoffFactor = 2 }) => ({
+	...result,
+	rows: async function* () {
+		let iterator = result.rows()[Symbol.asyncIterator]();
+		let read = 0;
+		let attempt = 0;
+		/** @type {unknown} */
+		let lastKey;
+		try {
+			for (;;) {
+				let next;
+				try {
+					next = await iterator.next();
+				} catch (err) {
+					if (!isRetryableError(err)) throw err;
+					const canResume = restart && (read === 0 || (resumeKey && lastKey !== null && lastKey !== undefined));
+					if (!canResume || attempt === retries) {
+						throw new Error(
+							`Reading rows failed after ${read} had been read, so the results are incomplete` +
+								(restart && !resumeKey ? '. Add a -- @resume_key <unique column> directive to resume from the last row instead' : '') +
+								`: ${err.message}`,
+							{ cause: err }
+						);
+					}
+					attempt++;
+					const waitTime = backoff(attempt, delay, backoffFactor);
+					console.log(
+						`Reading rows failed: ${err.message}. ${read ? `Resuming after ${resumeKey} ${lastKey}` : 'Retrying'} in ${waitTime}ms...`
+					);
+					await new Promise((resolve) => setTimeout(resolve, waitTime));
+					const restarted = await /** @type {NonNullable<typeof restart>} */ (restart)(read ? lastKey : undefined);
+					iterator = restarted.rows()[Symbol.asyncIterator]();
+					continue;
+				}
+				if (next.done) return;
+
+				const batch = next.value;
+				read += batch.length;
+				if (resumeKey && batch.length) lastKey = keyOf(batch[batch.length - 1]);
+				yield batch;
+			}
+		} finally {
+			await iterator.return?.();
+		}
+	}
+});
+
+module.exports = {
+	retry,
+	resumeOnFailure
+};
@@ -0,0 +1,208 @@
+const { cleanQuery, splitSQLStatement } = require('@evidence-dev/db-commons');
+const mssql = require('mssql');
+const { isCancelled } = require('./cancellation.cjs');
+
+/**
+ * How the expected row count reported to Evidence is worked out:
+ * - `off`: not reported
+ * - `subquery`: always wrap the query in `SELECT COUNT(*)`
+ * - `estimated`: the optimiser's estimate from the `SHOWPLAN_XML` plan, the query is not run
+ * - `exact`: wrap the query in `SELECT COUNT(*)` when that is valid, otherwise estimate
+ */
+const ROW_COUNT_STRATEGIES = ['off', 'subquery', 'estimated', 'exact'];
+
+const DEFAULT_ROW_COUNT_STRATEGY = 'exact';
+
+/**
+ * Words outside of comments, literals, quoted identifiers and parentheses, upper cased
+ * @param {string} sql
+ * @returns {string[]}
+ */
+const topLevelWords = (sql) => {
+	const words = [];
+	let depth = 0;
+	let i = 0;
+	while (i < sql.length) {
+		const ch = sql[i];
+		const next = sql[i + 1];
+		if (ch === '-' && next === '-') {
+			const end = sql.indexOf('\n', i);
+			i = end === -1 ? sql.length : end + 1;
+		} else if (ch === '/' && next === '*') {
+			const end = sql.indexOf('*/', i + 2);
+			i = end === -1 ? sql.length : end + 2;
+		} else if (ch === "'" || ch === '"' || ch === '[') {
+			const close = ch === '[' ? ']' : ch;
+			i++;
+			while (i < sql.length) {
+				if (sql[i] === close && sql[i + 1] === close) i += 2;
+				else if (sql[i] === close) break;
+				else i++;
+			}
+			i++;
+		} else if (ch === '(') {
+			depth++;
+			i++;
+		} else if (ch === ')') {
+			depth--;
+			i++;
+		} else if (/[A-Za-z_@#]/.test(ch)) {
+			const match = /^[A-Za-z_@#][\w@#$]*/.exec(sql.slice(i, i + 128));
+			const word = match ? match[0] : ch;
+			if (depth === 0) words.push(word.toUpperCase());
+			i += word.length;
+		} else {
+			i++;
+		}
+	}
+	return words;
+};
+
+/**
+ * Whether a query can be used as a derived table, i.e. `SELECT COUNT(*) FROM (query) AS q` is valid.
+ * Rules out batches, CTEs, procedure calls, `SELECT ... INTO`, and clauses that are only
+ * allowed on the outermost query.
+ * @param {string} queryString
+ * @returns {boolean}
+ */
+const isSafeToWrap = (queryString) => {
+	if (splitSQLStatement(queryString).length !== 1) return false;
+	const words = topLevelWords(queryString);
+	if (words[0] !== 'SELECT') return false;
+	if (words.includes('INTO') || words.includes('OPTION')) return false;
+
+	for (let i = 0; i < words.length - 1; i++) {
+		if (words[i] === 'FOR' && ['XML', 'JSON', 'BROWSE'].includes(words[i + 1])) return false;
+		if (words[i] === 'ORDER' && words[i + 1] === 'BY' && !words.includes('TOP') && !words.includes('OFFSET')) {
+			return false;
+		}
+	}
+	return true;
+};
+
+/**
+ * Whether a query orders its rows, which a query wrapped as a derived table no longer does
+ * @param {string} queryString
+ * @returns {boolean}
+ */
+const hasOrderBy = (queryString) => {
+	const words = topLevelWords(queryString);
+	return words.some((word, i) => word === 'ORDER' && words[i + 1] === 'BY');
+};
+
+/**
+ * @typedef {<T>(request: mssql.Request, send: (request: mssql.Request) => Promise<T>) => Promise<T>} SendRequest
+ *   Sends a request, e.g. so it can be cancelled along with the query it counts
+ */
+
+/** @type {SendRequest} */
+const sendRequest = (request, send) => send(request);
+
+/**
+ * @param {mssql.ConnectionPool | mssql.Transaction} pool
+ * @param {string} queryString
+ * @param {(request: mssql.Request) => mssql.Request} bindInputs
+ * @param {SendRequest} send
+ * @returns {Promise<number>}
+ */
+const countRows = async (pool, queryString, bindInputs, send) => {
+	const result = await send(bindInputs(pool.request()), (request) =>
+		request.query(`SELECT COUNT_BIG(*) as expected_row_count FROM (${cleanQuery(queryString)}) as subquery`)
+	);
+	return Number(result.recordset[0].expected_row_count);
+};
+
+/**
+ * Read the optimiser's estimate for the last SELECT in a query, without running it
+ * @param {mssql.ConnectionPool} pool
+ * @param {string} queryString
+ * @param {(request: mssql.Request) => mssql.Request} bindInputs
+ * @param {SendRequest} send
+ * @returns {Promise<number>}
+ */
+const estimateRowCount = async (pool, queryString, bindInputs, send) => {
+	// SHOWPLAN is a session setting, so every batch has to run on the same connection
+	const transaction = new mssql.Transaction(pool);
+	await transaction.begin();
+	/** @type {string[]} */
+	let plans = [];
+	try {
+		await new mssql.Request(transaction).batch('SET SHOWPLAN_XML ON');
+		try {
+			const result = await send(bindInputs(new mssql.Request(transaction)), (request) => request.query(queryString));
+			plans = (result.recordsets ?? []).flatMap((recordset) =>
+				Array.from(recordset).map((row) => String(Object.values(row)[0]))
+			);
+		} finally {
+			await new mssql.Request(transaction).batch('SET SHOWPLAN_XML OFF');
+		}
+	} finally {
+		await transaction.rollback();
+	}
+
+	let estimate;
+	for (const plan of plans) {
+		for (const [, attributes] of plan.matchAll(/<StmtSimple\b([^>]*)>/g)) {
+			const type = /StatementType="([^"]*)"/.exec(attributes)?.[1];
+			const rows = /StatementEstRows="([^"]*)"/.exec(attributes)?.[1];
+			if (type === 'SELECT' && rows !== undefined) estimate = Math.round(parseFloat(rows));
+		}
+	}
+	if (estimate === undefined || Number.isNaN(estimate)) {
+		throw new Error('the query plan has no estimate for a SELECT statement');
+	}
+	return estimate;
+};
+
+/**
+ * Work out the expected row count for a query. Failures are reported and leave the count unset,
+ * they never stop the query itself from running.
+ *
+ * Counting in a transaction, such as a source's snapshot, counts the rows the query will read.
+ * Estimates are left out there without a warning, as reading the plan needs a transaction of its own.
+ * @param {mssql.ConnectionPool | mssql.Transaction} pool
+ * @param {string} queryString
+ * @param {Object} options
+ * @param {string} [options.strategy] - One of ROW_COUNT_STRATEGIES
+ * @param {(request: mssql.Request) => mssql.Request} [options.bindInputs]
+ * @param {SendRequest} [options.send] - Sends the requests that count or estimate
+ * @returns {Promise<number | undefined>}
+ */
+const getExpectedRowCount = async (
+	pool,
+	queryString,
+	{ strategy = DEFAULT_ROW_COUNT_STRATEGY, bindInputs = (request) => request, send = sendRequest } = {}
+) => {
+	if (!ROW_COUNT_STRATEGIES.includes(strategy)) {
+		throw new Error(`Unknown row_count strategy "${strategy}", expected one of ${ROW_COUNT_STRATEGIES.join(', ')}`);
+	}
+	if (strategy === 'off') return undefined;
+
+	if (strategy === 'subquery' || (strategy === 'exact' && isSafeToWrap(queryString))) {
+		try {
+			return await countRows(pool, queryString, bindInputs, send);
+		} catch (err) {
+			// A cancelled count stops the query too, it isn't reported like a failed one
+			if (isCancelled(err)) throw err;
+			console.warn(`Could not count rows with a COUNT(*) subquery: ${err.message}`);
+			if (strategy === 'subquery') return undefined;
+		}
+	}
+
+	// Every query the transaction can't count would warn the same, so the count is left out quietly
+	if (pool instanceof mssql.Transaction) return undefined;
+	try {
+		return await estimateRowCount(pool, queryString, bindInputs, send);
+	} catch (err) {
+		if (isCancelled(err)) throw err;
+		console.warn(`Could not estimate the row count: ${err.message}`);
+		return undefined;
+	}
+};
+
+module.exports = {
+	ROW_COUNT_STRATEGIES,
+	getExpectedRowCount,
+	isSafeToWrap,
+	hasOrderBy
+};
@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+
+/**
+ * Directory where extraction state is kept between builds.
+ * Defaults to `.evidence-mssql` in the Evidence project root.
+ * @param {Record<string, any>} opts
+ * @returns {string}
+ */
+const resolveStateDirectory = (opts) => {
+	if (opts.state_directory) return path.resolve(opts.state_directory);
+	let root = process.cwd();
+	// Sources may be built from within .evidence/template, mirror Evidence's own lookup
+	if (root.includes('.evidence')) root = path.resolve(root, '../..');
+	return path.join(root, '.evidence-mssql');
+};
+
+/**
+ * File-safe key for a query's state, unique per server, database and query name
+ * @param {Record<string, any>} opts
+ * @param {string} name
+ * @returns {string}
+ */
+const stateKey = (opts, name) => {
+	const target = crypto
+		.createHash('sha256')
+		.update(`${opts.server}/${opts.database}`.toLowerCase())
+		.digest('hex')
+		.slice(0, 12);
+	return `${name.replace(/[^A-Za-z0-9_-]/g, '_')}-${target}`;
+};
+
+/**
+ * @param {string} directory
+ * @param {string} key
+ * @returns {Promise<any | null>}
+ */
+const readState = async (directory, key) => {
+	try {
+		return JSON.parse(await fs.promises.readFile(path.join(directory, `${key}.json`), 'utf-8'));
+	} catch (err) {
+		if (err.code === 'ENOENT') return null;
+		console.warn(`Ignoring unreadable state for ${key}: ${err.message}`);
+		return null;
+	}
+};
+
+/**
+ * Write state atomically, so an interrupted build never leaves a half-written file behind
+ * @param {string} directory
+ * @param {string} key
+ * @param {any} state
+ * @returns {Promise<void>}
+ */
+const writeState = async (directory, key, state) => {
+	await fs.promises.mkdir(directory, { recursive: true });
+	const file = path.join(directory, `${key}.json`);
+	await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(state, null, 2));
+	await fs.promises.rename(`${file}.tmp`, file);
+};
+
+/**
+ * JSON encoding that survives a round trip for the values mssql returns
+ * @param {Record<string, unknown>} row
+ * @returns {string}
+ */
+const encodeRow = (row) =>
+	JSON.stringify(row, function (key, value) {
+		const raw = this[key];
+		if (raw instanceof Date) return { $date: raw.toISOString() };
+		if (Buffer.isBuffer(raw)) return { $buffer: raw.toString('base64') };
+		return value;
+	});
+
+/**
+ * @param {string} line
+ * @returns {Record<string, unknown>}
+ */
+const decodeRow = (line) =>
+	JSON.parse(line, (key, value) => {
+		if (value && typeof value === 'object' && !Array.isArray(value)) {
+			if (typeof value.$date === 'string') return new Date(value.$date);
+			if (typeof value.$buffer === 'string') return Buffer.from(value.$buffer, 'base64');
+		}
+		return value;
+	});
+
+/**
+ * Path of the snapshot holding the rows previously extracted for a query
+ * @param {string} directory
+ * @param {string} key
+ * @returns {string}
+ */
+const snapshotPath = (directory, key) => path.join(directory, `${key}.jsonl.gz`);
+
+/**
+ * Stream the rows of a snapshot; yields nothing if it does not exist
+ * @param {string} file
+ * @returns {AsyncGenerator<Record<string, unknown>>}
+ */
+async function* readSnapshot(file) {
+	if (!fs.existsSync(file)) return;
+	const lines = readline.createInterface({
+		input: fs.createReadStream(file).pipe(zlib.createGunzip()),
+		crlfDelay: Infinity
+	});
+	for await (const line of lines) {
+		if (line) yield decodeRow(line);
+	}
+}
+
+/**
+ * Write a snapshot to a temporary file that replaces the old snapshot only on commit
+ * @param {string} file
+ * @returns {Promise<{ write: (row: Record<string, unknown>) => Promise<void>, commit: () => Promise<void>, abort: () => Promise<void> }>}
+ */
+const createSnapshotWriter = async (file) => {
+	await fs.promises.mkdir(path.dirname(file), { recursive: true });
+	const tmp = `${file}.${process.pid}.tmp`;
+	const gzip = zlib.createGzip();
+	const out = fs.createWriteStream(tmp);
+	gzip.pipe(out);
+	const finished = new Promise((resolve, reject) => {
+		out.on('finish', resolve);
+		out.on('error', reject);
+		gzip.on('error', reject);
+	});
+	// Surfaced by commit; an aborted snapshot has nobody waiting on it
+	finished.catch(() => {});
+
+	return {
+		write: async (row) => {
+			if (!gzip.write(encodeRow(row) + '\n')) {
+				await new Promise((resolve) => gzip.once('drain', resolve));
+			}
+		},
+		commit: async () => {
+			gzip.end();
+			await finished;
+			await fs.promises.rename(tmp, file);
+		},
+		abort: async () => {
+			gzip.destroy();
+			out.destroy();
+			await fs.promises.rm(tmp, { force: true });
+		}
+	};
+};
+
+module.exports = {
+	resolveStateDirectory,
+	stateKey,
+	readState,
+	writeState,
+	snapshotPath,
+	readSnapshot,
+	createSnapshotWriter
+};
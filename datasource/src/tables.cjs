@@ -0,0 +1,250 @@
+const { SNAPSHOT_TIME_PARAMETER, resolveConsistency } = require('./consistency.cjs');
+const { sendTracked } = require('./cancellation.cjs');
+
+/**
+ * @typedef {Object} TableSpec
+ * @property {string} table - `schema.table` name or glob pattern (`*` and `?` wildcards)
+ * @property {string[] | string} [columns] - Columns to select, defaults to all
+ * @property {string} [where] - Row filter, inserted verbatim after WHERE
+ * @property {string} [name] - Output table name, only valid when the pattern matches one table
+ * @property {string} [watermark] - Column to extract the table incrementally by
+ * @property {string | string[]} [unique_key] - Key columns used to merge changed rows
+ * @property {boolean} [change_tracking] - Extract the table by its Change Tracking changes
+ * @property {boolean | string} [cdc] - Extract the table by its CDC changes; a string names the capture instance
+ * @property {string} [resume_key] - Unique column to resume reading from after a dropped connection
+ * @property {number | string} [timeout] - Request timeout in ms for this table's query
+ * @property {number | string} [batch_size]
+ * @property {number | string} [retries]
+ * @property {string} [isolation] - e.g. `snapshot`
+ */
+
+/**
+ * @typedef {Object} SourceTable
+ * @property {string} name - Evidence table name
+ * @property {string} schema
+ * @property {string} table
+ * @property {string} query - SQL that extracts the table
+ * @property {Record<string, string | undefined>} directives - Same as the header directives of a query file
+ */
+
+const DEFAULT_SCHEMA = 'dbo';
+
+/**
+ * Quote an identifier for use in T-SQL
+ * @param {string} name
+ * @returns {string}
+ */
+const quoteIdentifier = (name) => `[${String(name).replace(/]/g, ']]')}]`;
+
+/**
+ * Normalise a list option; connection.yaml may give an array, while the settings UI and
+ * environment variables give a newline or comma separated string
+ * @param {unknown} value
+ * @returns {Array<string | TableSpec>}
+ */
+const parseList = (value) => {
+	if (value === undefined || value === null || value === '') return [];
+	if (Array.isArray(value)) return value;
+	if (typeof value === 'string') {
+		return value
+			.split(/[\n,]/)
+			.map((item) => item.trim())
+			.filter(Boolean);
+	}
+	return [/** @type {TableSpec} */ (value)];
+};
+
+/**
+ * Whether a yes/no setting of a tables entry is on; YAML gives booleans, environment variables strings
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+const isEnabled = (value) => value === true || value === 'true';
+
+/**
+ * Split `schema.table` into its parts, honouring [bracket] quoting
+ * @param {string} qualifiedName
+ * @returns {{ schema: string, table: string }}
+ */
+const parseQualifiedName = (qualifiedName) => {
+	const parts = [];
+	let current = '';
+	let quoted = false;
+	for (let i = 0; i < qualifiedName.length; i++) {
+		const ch = qualifiedName[i];
+		if (quoted) {
+			if (ch === ']' && qualifiedName[i + 1] === ']') {
+				current += ']';
+				i++;
+			} else if (ch === ']') {
+				quoted = false;
+			} else {
+				current += ch;
+			}
+		} else if (ch === '[') {
+			quoted = true;
+		} else if (ch === '.' && parts.length === 0) {
+			parts.push(current);
+			current = '';
+		} else {
+			current += ch;
+		}
+	}
+	parts.push(current);
+
+	if (parts.length === 1) return { schema: DEFAULT_SCHEMA, table: parts[0].trim() };
+	return { schema: parts[0].trim(), table: parts[1].trim() };
+};
+
+/**
+ * Build a case-insensitive matcher for a glob pattern
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const globToRegExp = (pattern) => {
+	const source = pattern
+		.split('')
+		.map((ch) => {
+			if (ch === '*') return '.*';
+			if (ch === '?') return '.';
+			return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		})
+		.join('');
+	return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * @param {string} pattern
+ * @returns {(schema: string, table: string) => boolean}
+ */
+const buildMatcher = (pattern) => {
+	const { schema, table } = parseQualifiedName(pattern);
+	const schemaMatcher = globToRegExp(schema);
+	const tableMatcher = globToRegExp(table);
+	return (s, t) => schemaMatcher.test(s) && tableMatcher.test(t);
+};
+
+/**
+ * Derive an Evidence table name from a SQL Server table
+ * @param {string} schema
+ * @param {string} table
+ * @returns {string}
+ */
+const defaultTableName = (schema, table) => `${schema}_${table}`.replace(/[^A-Za-z0-9_]/g, '_');
+
+/**
+ * @param {string} schema
+ * @param {string} table
+ * @param {TableSpec} spec
+ * @param {boolean} [asOfSnapshot] - Read a system-versioned table as of the source's snapshot time
+ * @returns {string}
+ */
+const buildTableQuery = (schema, table, spec, asOfSnapshot = false) => {
+	const columns = parseList(spec.columns);
+	const selectList = columns.length
+		? columns.map((column) => quoteIdentifier(String(column))).join(', ')
+		: '*';
+	let query = `SELECT ${selectList} FROM ${quoteIdentifier(schema)}.${quoteIdentifier(table)}`;
+	if (asOfSnapshot) query += ` FOR SYSTEM_TIME AS OF @${SNAPSHOT_TIME_PARAMETER}`;
+	if (spec.where) query += ` WHERE ${spec.where}`;
+	return query;
+};
+
+/**
+ * Whether the source options ask for any tables to be extracted
+ * @param {Record<string, any>} opts
+ * @returns {boolean}
+ */
+const hasTableList = (opts) => parseList(opts.tables).length > 0;
+
+/**
+ * Resolve the `tables` and `exclude_tables` options against the tables that exist in the database
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {Record<string, any>} opts
+ * @returns {Promise<SourceTable[]>}
+ */
+const resolveSourceTables = async (pool, opts) => {
+	const includes = parseList(opts.tables).map((entry) => {
+		/** @type {TableSpec} */
+		const spec = typeof entry === 'string' ? { table: entry } : entry;
+		if (!spec || typeof spec.table !== 'string' || !spec.table.trim()) {
+			throw new Error(`Invalid entry in tables: ${JSON.stringify(entry)}`);
+		}
+		return { spec, matches: buildMatcher(spec.table), matched: 0 };
+	});
+	const excludes = parseList(opts.exclude_tables).map((entry) => buildMatcher(String(entry)));
+
+	const includeViews = opts.include_views === true || opts.include_views === 'true';
+	// temporal_type is only there from SQL Server 2016, which system_time needs anyway
+	const asOf = resolveConsistency(opts) === 'system_time';
+	const listing = `
+		SELECT s.name AS schema_name, o.name AS table_name, ${asOf ? 't.temporal_type' : 'NULL'} AS temporal_type
+		FROM sys.objects o
+		JOIN sys.schemas s ON s.schema_id = o.schema_id
+		LEFT JOIN sys.tables t ON t.object_id = o.object_id
+		WHERE o.type IN ('U'${includeViews ? ", 'V'" : ''}) AND o.is_ms_shipped = 0
+		ORDER BY s.name, o.name
+	`;
+	// Cancelled by SIGINT, SIGTERM or the time budget, like the queries
+	const { recordset } = await sendTracked(opts, 'listing the tables to extract', pool.request(), (request) => request.query(listing));
+
+	/** @type {SourceTable[]} */
+	const tables = [];
+	const names = new Set();
+	for (const { schema_name: schema, table_name: table, temporal_type: temporalType } of recordset) {
+		if (excludes.some((matches) => matches(schema, table))) continue;
+		const include = includes.find(({ matches }) => matches(schema, table));
+		if (!include) continue;
+		include.matched++;
+		if (include.spec.name && include.matched > 1) {
+			throw new Error(`${include.spec.table} matches more than one table, so it cannot be given the name ${include.spec.name}`);
+		}
+
+		const name = include.spec.name ?? defaultTableName(schema, table);
+		if (names.has(name.toLowerCase())) {
+			throw new Error(`More than one table would be named ${name}; set a name for ${schema}.${table} in tables`);
+		}
+		names.add(name.toLowerCase());
+		tables.push({
+			name,
+			schema,
+			table,
+			// 2 is a system-versioned table, the history table itself is 1
+			query: buildTableQuery(schema, table, include.spec, temporalType === 2),
+			directives: {
+				watermark: include.spec.watermark,
+				unique_key: parseList(include.spec.unique_key).join(',') || undefined,
+				change_tracking: isEnabled(include.spec.change_tracking) ? `${quoteIdentifier(schema)}.${quoteIdentifier(table)}` : undefined,
+				// SQL Server names a table's capture instance schema_table unless told otherwise
+				cdc: isEnabled(include.spec.cdc)
+					? `${schema}_${table}`
+					: typeof include.spec.cdc === 'string' && include.spec.cdc !== 'false'
+						? include.spec.cdc
+						: undefined,
+				resume_key: include.spec.resume_key,
+				// YAML gives numbers, header comments give strings
+				...Object.fromEntries(
+					['timeout', 'batch_size', 'retries', 'isolation']
+						.filter((key) => include.spec[key] !== undefined)
+						.map((key) => [key, String(include.spec[key])])
+				)
+			}
+		});
+	}
+
+	for (const { spec, matched } of includes) {
+		if (matched === 0) console.warn(`No tables found matching ${spec.table}`);
+	}
+
+	return tables;
+};
+
+module.exports = {
+	buildMatcher,
+	defaultTableName,
+	globToRegExp,
+	hasTableList,
+	parseQualifiedName,
+	resolveSourceTables,
+	quoteIdentifier
+};
@@ -0,0 +1,144 @@
+const mssql = require('mssql');
+const { TypeFidelity, EvidenceType } = require('@evidence-dev/db-commons');
+const { parseDirectives, parseQueryOverrides } = require('./directives.cjs');
+const { parseProcedureCall } = require('./procedures.cjs');
+const { resolveQueryParameters, declareSqlType } = require('./parameters.cjs');
+const { assertReadOnly } = require('./readonly.cjs');
+const { SYSTEM_TYPES } = require('./discovery.cjs');
+const { resolveColumnNameStyle, uniqueColumnNames, describeRenames } = require('./columns.cjs');
+const { snapshotInputs } = require('./consistency.cjs');
+
+/**
+ * @typedef {Object} ValidatedColumn
+ * @property {string} name
+ * @property {string} sqlType - As SQL Server describes it, e.g. `nvarchar(50)`
+ * @property {boolean} nullable
+ * @property {EvidenceType} evidenceType
+ * @property {TypeFidelity} typeFidelity - INFERRED when Evidence would have to guess the type from the values
+ */
+
+/**
+ * @typedef {Object} QueryValidation
+ * @property {boolean} valid
+ * @property {'options' | 'syntax' | 'compile'} [stage] - Where an invalid query failed
+ * @property {string} [error]
+ * @property {number} [line] - Line of the query the error is on
+ * @property {ValidatedColumn[] | null} columns - Columns of the first result set; null when they can't be described
+ * @property {string[]} warnings
+ */
+
+/**
+ * The message and line of an error SQL Server reported for a batch
+ * @param {any} err
+ * @returns {{ error: string, line?: number }}
+ */
+const describeBatchError = (err) => {
+	// Every error of the batch is reported, the first is usually the cause of the rest
+	const first = err?.precedingErrors?.[0] ?? err;
+	return { error: first?.message ?? String(err), line: first?.lineNumber || undefined };
+};
+
+/**
+ * Check a query without running it: its options first, then its syntax with `SET PARSEONLY`,
+ * then that it compiles against the database with `SET NOEXEC`, and finally describe its first
+ * result set with `sp_describe_first_result_set`.
+ *
+ * Each step runs as a single batch, so the session setting it needs can't outlive it and reach
+ * a query that shares the connection later. The batch's first line carries the setting, so line
+ * numbers in errors match the file.
+ *
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {string} queryString
+ * @param {Record<string, any>} opts
+ * @param {(type: import('mssql').ISqlType | (() => import('mssql').ISqlType)) => EvidenceType | undefined} toEvidenceType
+ * @param {{ path?: string, name?: string }} [file] - For error messages
+ * @returns {Promise<QueryValidation>}
+ */
+const validateQuery = async (pool, queryString, opts, toEvidenceType, file = {}) => {
+	/** @type {string[]} */
+	const warnings = [];
+	/** @type {import('./procedures.cjs').ProcedureCall | null} */
+	let call;
+	/** @type {string[]} */
+	let declarations = [];
+	try {
+		parseQueryOverrides(parseDirectives(queryString));
+		resolveColumnNameStyle(opts);
+		call = parseProcedureCall(queryString, opts);
+		if (!call) {
+			assertReadOnly(queryString, opts, file);
+			const bound = snapshotInputs(opts);
+			declarations = [...resolveQueryParameters(queryString, opts, bound.map(({ name }) => name)), ...bound].map(
+				({ name, type }) => `@${name} ${declareSqlType(type)}`
+			);
+		}
+	} catch (err) {
+		return { valid: false, stage: 'options', error: err.message, columns: null, warnings };
+	}
+	const tsql = call ? `EXEC ${call.procedure}` : queryString;
+
+	if (call) {
+		const { recordset } = await pool
+			.request()
+			.input('name', mssql.NVarChar(mssql.MAX), call.procedure)
+			.query('SELECT OBJECT_ID(@name) AS object_id');
+		if (!recordset[0]?.object_id) {
+			return { valid: false, stage: 'compile', error: `Procedure ${call.procedure} does not exist`, columns: null, warnings };
+		}
+		// Only the call can be described; what the procedure does is not compiled
+		warnings.push(`Calls the procedure ${call.procedure}, which exists but is not compiled`);
+	} else {
+		try {
+			await pool.request().batch(`SET PARSEONLY ON; ${queryString}\nSET PARSEONLY OFF;`);
+		} catch (err) {
+			return { valid: false, stage: 'syntax', ...describeBatchError(err), columns: null, warnings };
+		}
+		try {
+			const declare = declarations.length ? `DECLARE ${declarations.join(', ')}; ` : '';
+			// The whole batch is compiled before SET NOEXEC ON takes effect, and nothing after it runs
+			await pool.request().batch(`SET NOEXEC ON; ${declare}${queryString}\nSET NOEXEC OFF;`);
+		} catch (err) {
+			return { valid: false, stage: 'compile', ...describeBatchError(err), columns: null, warnings };
+		}
+	}
+
+	/** @type {ValidatedColumn[] | null} */
+	let columns = null;
+	try {
+		const { recordset } = await pool
+			.request()
+			.input('tsql', mssql.NVarChar(mssql.MAX), tsql)
+			.input('params', mssql.NVarChar(mssql.MAX), declarations.join(', ') || null)
+			.query('EXEC sp_describe_first_result_set @tsql, @params');
+		columns = recordset
+			.filter((column) => !column.is_hidden)
+			.map((column) => {
+				const baseType = String(column.system_type_name).replace(/\(.*$/, '').toLowerCase();
+				const sqlType = SYSTEM_TYPES[baseType];
+				const evidenceType = sqlType && toEvidenceType(sqlType);
+				return {
+					name: column.name ?? '',
+					sqlType: column.system_type_name,
+					nullable: column.is_nullable,
+					evidenceType: evidenceType ?? EvidenceType.STRING,
+					typeFidelity: evidenceType ? TypeFidelity.PRECISE : TypeFidelity.INFERRED
+				};
+			});
+		if (!columns.length) warnings.push('Returns no result set');
+		// Named as a run would name them
+		const { names, renames } = uniqueColumnNames(
+			columns.map((column) => column.name),
+			resolveColumnNameStyle(opts)
+		);
+		columns.forEach((column, index) => (column.name = names[index]));
+		if (renames.length) warnings.push(`Renames columns ${describeRenames(renames)}`);
+	} catch (err) {
+		// e.g. the result comes from a temporary table or dynamic SQL, which only exist once run
+		warnings.push(`The columns could not be described: ${describeBatchError(err).error}`);
+	}
+	return { valid: true, columns, warnings };
+};
+
+module.exports = {
+	validateQuery
+};
@@ -0,0 +1,507 @@
+const { cleanQuery } = require('@evidence-dev/db-commons');
+const mssql = require('mssql');
+const { quoteIdentifier } = require('./tables.cjs');
+const { isCancelled } = require('./cancellation.cjs');
+
+/**
+ * @typedef {Object} ValueFormats
+ * @property {'string' | 'seconds'} time - `time` as `HH:MM:SS.fffffff`, or seconds since midnight
+ * @property {'hex' | 'base64'} binary - Encoding of binary, varbinary, image and unknown UDT values
+ * @property {'wkt' | 'geojson'} spatial - Encoding of geography and geometry values
+ * @property {'number' | 'string'} bigint - `bigint` as a number, or as an exact string
+ * @property {'utc' | 'string'} datetimeoffset - `datetimeoffset` as a UTC date, or an ISO 8601 string with its offset
+ */
+
+/** @type {Record<keyof ValueFormats, string[]>} */
+const VALUE_FORMAT_CHOICES = {
+	time: ['string', 'seconds'],
+	binary: ['hex', 'base64'],
+	spatial: ['wkt', 'geojson'],
+	bigint: ['number', 'string'],
+	datetimeoffset: ['utc', 'string']
+};
+
+/**
+ * Read the value format options of a source, falling back to the first choice of each
+ * @param {Record<string, any>} opts
+ * @returns {ValueFormats}
+ */
+const resolveValueFormats = (opts = {}) => {
+	/** @type {any} */
+	const formats = {};
+	for (const [format, choices] of Object.entries(VALUE_FORMAT_CHOICES)) {
+		const value = opts[`${format}_format`] ?? choices[0];
+		if (!choices.includes(value)) {
+			throw new Error(`Unknown ${format}_format "${value}", expected one of ${choices.join(', ')}`);
+		}
+		formats[format] = value;
+	}
+	return formats;
+};
+
+/**
+ * A datetimeoffset value as the driver returns it: in UTC, as it does not report the offset
+ * @param {Date} value
+ * @param {number} [scale]
+ * @returns {string} e.g. `2024-03-01T08:30:00.1234567+00:00`, as CONVERT style 126 gives it
+ */
+const formatUtcOffset = (value, scale = 7) => {
+	// tedious keeps the digits below a millisecond separately
+	const nanosecondsDelta = /** @type {any} */ (value).nanosecondsDelta ?? 0;
+	const ticks = value.getUTCMilliseconds() * 10000 + Math.round(nanosecondsDelta * 1e7);
+	const fraction = String(ticks).padStart(7, '0').slice(0, scale);
+	return `${value.toISOString().slice(0, 19)}${fraction ? `.${fraction}` : ''}+00:00`;
+};
+
+/**
+ * The select list that reads a query's datetimeoffset columns as ISO 8601 strings that keep their
+ * offset, which the driver drops; null when the query has none. Its columns are found with
+ * `sp_describe_first_result_set`, and the query must be one that can be used as a subquery
+ * without an ORDER BY to keep.
+ * Queries whose columns can't be described are left alone, and their values given in UTC.
+ * @param {mssql.ConnectionPool | mssql.Transaction} pool
+ * @param {string} queryString
+ * @param {string} declarations - The query's parameters, as `@name type, ...`
+ * @param {<T>(request: mssql.Request, send: (request: mssql.Request) => Promise<T>) => Promise<T>} send
+ * @returns {Promise<string | null>}
+ */
+const offsetSelectList = async (pool, queryString, declarations, send) => {
+	/** @type {any[]} */
+	let columns;
+	try {
+		const request = pool
+			.request()
+			.input('tsql', mssql.NVarChar(mssql.MAX), cleanQuery(queryString))
+			.input('params', mssql.NVarChar(mssql.MAX), declarations || null);
+		const { recordset } = await send(request, (r) => r.query('EXEC sp_describe_first_result_set @tsql, @params'));
+		columns = recordset.filter((column) => !column.is_hidden);
+	} catch (err) {
+		if (isCancelled(err)) throw err;
+		return null;
+	}
+	const isOffset = (/** @type {any} */ column) => /^datetimeoffset\b/i.test(String(column.system_type_name));
+	if (!columns.some(isOffset)) return null;
+	// Only a query whose columns have unique names runs as a subquery
+	const names = columns.map((column) => column.name ?? '');
+	if (names.some((name) => !name) || new Set(names.map((name) => name.toLowerCase())).size !== names.length) return null;
+	return columns
+		.map((column) => {
+			const name = quoteIdentifier(column.name);
+			return isOffset(column) ? `CONVERT(varchar(34), ${name}, 126) AS ${name}` : name;
+		})
+		.join(', ');
+};
+
+/**
+ * @param {Buffer} buffer
+ * @param {ValueFormats} formats
+ * @returns {string}
+ */
+const encodeBinary = (buffer, formats) => buffer.toString(formats.binary);
+
+/**
+ * @param {Date} value - Time of day on 1970-01-01 UTC, as returned by tedious
+ * @param {ValueFormats} formats
+ * @param {number} [scale]
+ * @returns {number | string}
+ */
+const formatTime = (value, formats, scale = 7) => {
+	const millis = value.getTime() % 86400000;
+	// tedious keeps the digits below a millisecond separately
+	const nanosecondsDelta = /** @type {any} */ (value).nanosecondsDelta ?? 0;
+	if (formats.time === 'seconds') return millis / 1000 + nanosecondsDelta;
+
+	const ticks = Math.round((millis % 1000) * 10000 + nanosecondsDelta * 1e7);
+	const seconds = Math.floor(millis / 1000);
+	const hms = [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+		.map((part) => String(part).padStart(2, '0'))
+		.join(':');
+	return scale > 0 ? `${hms}.${String(ticks).padStart(7, '0').slice(0, scale)}` : hms;
+};
+
+/*
+ * hierarchyid is stored as a bit string of OrdPath labels. Each label has a prefix that selects
+ * its range, then data bits (x) interleaved with fixed bits, and ends with a bit (T) that is 1
+ * when the label ends a level and 0 when it is followed by another label in the same level (1.1).
+ * See [MS-SSCLRT] 2.4.
+ */
+const HIERARCHYID_PATTERNS = [
+	{ min: 0, pattern: '01xxT' },
+	{ min: 4, pattern: '100xxT' },
+	{ min: 8, pattern: '101xxxT' },
+	{ min: 16, pattern: '110xx0x1xxxT' },
+	{ min: 80, pattern: '1110xxx0xxx0x1xxxT' },
+	{ min: 1104, pattern: '11110xxxxx0xxx0x1xxxT' },
+	{ min: 5200, pattern: '111110xxxxxxxxxxxxxxxxxxx0xxxxxx0xxx0x1xxxT' },
+	{ min: 4294972496, pattern: '111111xxxxxxxxxxxxxx0xxxxxxxxxxxxxxxxxxxxx0xxxxxx0xxx0x1xxxT' },
+	{ min: -8, pattern: '00111xxxT' },
+	{ min: -72, pattern: '0010xx0x1xxxT' },
+	{ min: -4168, pattern: '000111xxxxx0xxx0x1xxxT' },
+	{ min: -4294971464, pattern: '000110xxxxxxxxxxxxxxxxxxx0xxxxxx0xxx0x1xxxT' },
+	{ min: -281479271682120, pattern: '000101xxxxxxxxxxxxxx0xxxxxxxxxxxxxxxxxxxxx0xxxxxx0xxx0x1xxxT' }
+].map(({ min, pattern }) => ({ min, pattern, prefix: pattern.slice(0, pattern.indexOf('x')) }));
+
+/**
+ * Decode a hierarchyid to its string path, e.g. `/1/2.1/3/`
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const decodeHierarchyId = (buffer) => {
+	let bits = '';
+	for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+	const levels = [];
+	let level = [];
+	let position = 0;
+	// Trailing zero bits pad the last label to a whole byte
+	while (position < bits.length && bits.indexOf('1', position) !== -1) {
+		const match = HIERARCHYID_PATTERNS.find(({ prefix }) => bits.startsWith(prefix, position));
+		if (!match) throw new Error(`Invalid hierarchyid 0x${buffer.toString('hex')}`);
+
+		let data = 0;
+		let last = false;
+		position += match.prefix.length;
+		for (const ch of match.pattern.slice(match.prefix.length)) {
+			const bit = bits[position++] === '1';
+			if (ch === 'x') data = data * 2 + (bit ? 1 : 0);
+			else if (ch === 'T') last = bit;
+		}
+
+		// Labels that continue a level are stored one higher than their value
+		level.push(match.min + data - (last ? 0 : 1));
+		if (last) {
+			levels.push(level.join('.'));
+			level = [];
+		}
+	}
+	return levels.length ? `/${levels.join('/')}/` : '/';
+};
+
+const SHAPE_TYPES = {
+	1: 'Point',
+	2: 'LineString',
+	3: 'Polygon',
+	4: 'MultiPoint',
+	5: 'MultiLineString',
+	6: 'MultiPolygon',
+	7: 'GeometryCollection',
+	8: 'CircularString',
+	9: 'CompoundCurve',
+	10: 'CurvePolygon',
+	11: 'FullGlobe'
+};
+
+/** Figure attributes of version 2 spatial values */
+const FIGURE_ARC = 0x02;
+const FIGURE_COMPOSITE_CURVE = 0x03;
+
+/** Segment types of version 2 spatial values */
+const SEGMENT_ARC = 0x01;
+const SEGMENT_FIRST_LINE = 0x02;
+const SEGMENT_FIRST_ARC = 0x03;
+
+/**
+ * @typedef {Object} SpatialFigure
+ * @property {Array<Array<number | null>>} coordinates
+ * @property {'line' | 'arc' | 'composite'} kind
+ * @property {Array<{ arc: boolean, coordinates: Array<Array<number | null>> }>} pieces - Line and arc runs of a composite curve
+ */
+
+/**
+ * @typedef {Object} SpatialShape
+ * @property {string} type - One of SHAPE_TYPES
+ * @property {SpatialShape[]} children
+ * @property {SpatialFigure[]} figures
+ */
+
+/**
+ * Walk a parsed geography or geometry value (see mssql/lib/udt.js) into a tree of shapes
+ * @param {any} value
+ * @param {boolean} geography - Geography points are parsed with x = latitude and y = longitude
+ * @returns {SpatialShape}
+ */
+const spatialTree = (value, geography) => {
+	const { points, shapes, segments = [] } = value;
+	const coordinates = points.map((point) => {
+		const xy = geography ? [point.lng, point.lat] : [point.x, point.y];
+		if (point.z !== null || point.m !== null) xy.push(point.z);
+		if (point.m !== null) xy.push(point.m);
+		return xy;
+	});
+
+	// Segments belong to the composite curves in figure order
+	let segment = 0;
+	/** @type {SpatialFigure[]} */
+	const figures = value.figures.map((figure, index) => {
+		const end = index + 1 < value.figures.length ? value.figures[index + 1].pointOffset : coordinates.length;
+		const figureCoordinates = coordinates.slice(figure.pointOffset, end);
+		if (value.version !== 2) return { coordinates: figureCoordinates, kind: 'line', pieces: [] };
+		if (figure.attribute === FIGURE_ARC) return { coordinates: figureCoordinates, kind: 'arc', pieces: [] };
+		if (figure.attribute !== FIGURE_COMPOSITE_CURVE) return { coordinates: figureCoordinates, kind: 'line', pieces: [] };
+
+		const pieces = [];
+		let point = 0;
+		while (segment < segments.length) {
+			const type = segments[segment].type;
+			if (pieces.length && (type === SEGMENT_FIRST_LINE || type === SEGMENT_FIRST_ARC)) break;
+			const arc = type === SEGMENT_ARC || type === SEGMENT_FIRST_ARC;
+			const taken = figureCoordinates.slice(point + 1, point + (arc ? 3 : 2));
+			const last = pieces[pieces.length - 1];
+			if (last && last.arc === arc) {
+				last.coordinates.push(...taken);
+			} else {
+				pieces.push({ arc, coordinates: [figureCoordinates[point], ...taken] });
+			}
+			point += arc ? 2 : 1;
+			segment++;
+		}
+		return { coordinates: figureCoordinates, kind: 'composite', pieces };
+	});
+
+	/**
+	 * @param {number} index
+	 * @returns {SpatialFigure[]}
+	 */
+	const shapeFigures = (index) => {
+		const start = shapes[index].figureOffset;
+		if (start === -1) return [];
+		const next = shapes.slice(index + 1).find((shape) => shape.figureOffset !== -1);
+		return figures.slice(start, next ? next.figureOffset : figures.length);
+	};
+
+	/**
+	 * @param {number} index
+	 * @returns {SpatialShape}
+	 */
+	const build = (index) => {
+		const children = [];
+		for (let i = index + 1; i < shapes.length; i++) {
+			if (shapes[i].parentOffset === index) children.push(build(i));
+		}
+		return { type: SHAPE_TYPES[shapes[index].type], children, figures: shapeFigures(index) };
+	};
+
+	return build(0);
+};
+
+/**
+ * @param {Array<number | null>} coordinate
+ * @returns {string}
+ */
+const wktCoordinate = (coordinate) => coordinate.map((n) => (n === null ? 'NULL' : String(n))).join(' ');
+
+/**
+ * @param {Array<Array<number | null>>} coordinates
+ * @returns {string}
+ */
+const wktList = (coordinates) => `(${coordinates.map(wktCoordinate).join(', ')})`;
+
+/**
+ * A figure as it appears inside its shape; curves are tagged unless `bare` is set
+ * @param {SpatialFigure} figure
+ * @param {boolean} [bare]
+ * @returns {string}
+ */
+const wktFigure = (figure, bare = false) => {
+	if (figure.kind === 'composite') {
+		const pieces = figure.pieces.map((piece) =>
+			piece.arc ? `CIRCULARSTRING ${wktList(piece.coordinates)}` : wktList(piece.coordinates)
+		);
+		return bare ? `(${pieces.join(', ')})` : `COMPOUNDCURVE (${pieces.join(', ')})`;
+	}
+	if (figure.kind === 'arc' && !bare) return `CIRCULARSTRING ${wktList(figure.coordinates)}`;
+	return wktList(figure.coordinates);
+};
+
+/**
+ * Format a shape tree as WKT, the same way STAsText() does
+ * @param {SpatialShape} shape
+ * @returns {string}
+ */
+const shapeToWkt = (shape) => {
+	const name = shape.type.toUpperCase();
+	const [first] = shape.figures;
+	switch (shape.type) {
+		case 'FullGlobe':
+			return 'FULLGLOBE';
+		case 'Point':
+			return first?.coordinates.length ? `POINT ${wktList(first.coordinates)}` : 'POINT EMPTY';
+		case 'LineString':
+		case 'CircularString':
+		case 'CompoundCurve':
+			return first ? `${name} ${wktFigure(first, true)}` : `${name} EMPTY`;
+		case 'Polygon':
+			return first ? `POLYGON (${shape.figures.map((figure) => wktList(figure.coordinates)).join(', ')})` : 'POLYGON EMPTY';
+		case 'CurvePolygon':
+			return first ? `CURVEPOLYGON (${shape.figures.map((figure) => wktFigure(figure)).join(', ')})` : 'CURVEPOLYGON EMPTY';
+		case 'MultiPoint':
+		case 'MultiLineString':
+		case 'MultiPolygon':
+			// Members of a multi shape drop their own type name
+			return shape.children.length
+				? `${name} (${shape.children.map((child) => shapeToWkt(child).replace(/^[A-Z]+ /, '')).join(', ')})`
+				: `${name} EMPTY`;
+		default:
+			return shape.children.length
+				? `GEOMETRYCOLLECTION (${shape.children.map(shapeToWkt).join(', ')})`
+				: 'GEOMETRYCOLLECTION EMPTY';
+	}
+};
+
+/**
+ * Convert a shape tree to a GeoJSON geometry. GeoJSON has no curves, so curved shapes are
+ * given by their control points.
+ * @param {SpatialShape} shape
+ * @returns {any}
+ */
+const shapeToGeoJson = (shape) => {
+	const rings = shape.figures.map((figure) => figure.coordinates);
+	switch (shape.type) {
+		case 'FullGlobe':
+			return null;
+		case 'Point':
+			return { type: 'Point', coordinates: rings[0]?.[0] ?? [] };
+		case 'LineString':
+		case 'CircularString':
+		case 'CompoundCurve':
+			return { type: 'LineString', coordinates: rings[0] ?? [] };
+		case 'Polygon':
+		case 'CurvePolygon':
+			return { type: 'Polygon', coordinates: rings };
+		case 'MultiPoint':
+		case 'MultiLineString':
+		case 'MultiPolygon':
+			return { type: shape.type, coordinates: shape.children.map((child) => shapeToGeoJson(child).coordinates) };
+		default:
+			return { type: 'GeometryCollection', geometries: shape.children.map(shapeToGeoJson) };
+	}
+};
+
+/**
+ * @param {any} value - Parsed by mssql
+ * @param {boolean} geography
+ * @param {ValueFormats} formats
+ * @returns {string}
+ */
+const formatSpatial = (value, geography, formats) => {
+	if (!value.shapes?.length) {
+		return formats.spatial === 'geojson' ? JSON.stringify(null) : 'GEOMETRYCOLLECTION EMPTY';
+	}
+	const shape = spatialTree(value, geography);
+	return formats.spatial === 'geojson' ? JSON.stringify(shapeToGeoJson(shape)) : shapeToWkt(shape);
+};
+
+/**
+ * sql_variant values arrive as whatever their base type maps to, so each is turned into a string
+ * @param {unknown} value
+ * @param {ValueFormats} formats
+ * @returns {string}
+ */
+const formatVariant = (value, formats) => {
+	if (value instanceof Date) return value.toISOString();
+	if (Buffer.isBuffer(value)) return encodeBinary(value, formats);
+	return String(value);
+};
+
+/**
+ * Build the converter for a column, or null if its values can be used as they are
+ * @param {mssql.IColumnMetadata[string]} column
+ * @param {ValueFormats} formats
+ * @returns {((value: any) => unknown) | null}
+ */
+const columnConverter = (column, formats) => {
+	/** @param {string} message */
+	const warnOnce = (message) => {
+		let warned = false;
+		return () => {
+			if (warned) return;
+			warned = true;
+			console.warn(`Column ${column.name}: ${message}`);
+		};
+	};
+
+	switch (column.type) {
+		case mssql.TYPES.UniqueIdentifier:
+			return (value) => value.toLowerCase();
+		case mssql.TYPES.Time:
+			return (value) => formatTime(value, formats, column.scale);
+		case mssql.TYPES.Binary:
+		case mssql.TYPES.VarBinary:
+		case mssql.TYPES.Image:
+			return (value) => encodeBinary(value, formats);
+		case mssql.TYPES.Geography:
+			return (value) => formatSpatial(value, true, formats);
+		case mssql.TYPES.Geometry:
+			return (value) => formatSpatial(value, false, formats);
+		case mssql.TYPES.UDT:
+			if (column.udt?.name?.toLowerCase() === 'hierarchyid') return decodeHierarchyId;
+			return (value) => (Buffer.isBuffer(value) ? encodeBinary(value, formats) : String(value));
+		case mssql.TYPES.Variant:
+			return (value) => formatVariant(value, formats);
+		case mssql.TYPES.DateTimeOffset: {
+			if (formats.datetimeoffset === 'utc') return null;
+			// Queries that can be used as a subquery read the offset with offsetSelectList, and never get here
+			const warn = warnOnce(
+				"the driver doesn't report datetimeoffset offsets, and they could not be read for this query, which has to be a single SELECT usable as a subquery and without ORDER BY, so values are given in UTC; CAST the column to varchar(34) to keep its offset"
+			);
+			return (value) => {
+				warn();
+				return formatUtcOffset(value, column.scale);
+			};
+		}
+		case mssql.TYPES.BigInt: {
+			if (formats.bigint === 'string') return (value) => String(value);
+			const warn = warnOnce('bigint values beyond ±2^53 lose precision as numbers, set bigint_format to string to keep them exact');
+			return (value) => {
+				const number = Number(value);
+				if (!Number.isSafeInteger(number)) warn();
+				return number;
+			};
+		}
+		case mssql.TYPES.Decimal:
+		case mssql.TYPES.Numeric:
+		case mssql.TYPES.Money:
+		case mssql.TYPES.SmallMoney: {
+			const scale = column.type === mssql.TYPES.Money || column.type === mssql.TYPES.SmallMoney ? 4 : column.scale ?? 0;
+			// Values are already floating point here, flag the ones with more digits than a double holds
+			const limit = Number.MAX_SAFE_INTEGER / Math.pow(10, scale);
+			const warn = warnOnce('some values have more digits than a number can hold and lost precision, CAST them to varchar to keep them exact');
+			return (value) => {
+				if (Math.abs(value) > limit) warn();
+				return value;
+			};
+		}
+		default:
+			return null;
+	}
+};
+
+/**
+ * Create the `standardizeRow` function for a result set, converting the values of types that
+ * Evidence cannot take as they are
+ * @param {mssql.IColumnMetadata} columns
+ * @param {ValueFormats} formats
+ * @returns {(row: Record<string, unknown>) => Record<string, unknown>}
+ */
+const createRowStandardizer = (columns, formats) => {
+	const converters = Object.values(columns)
+		.map((column) => [column.name, columnConverter(column, formats)])
+		.filter(([, converter]) => converter !== null);
+	if (!converters.length) return (row) => row;
+
+	return (row) => {
+		for (const [name, converter] of converters) {
+			const value = row[name];
+			if (value !== null && value !== undefined) row[name] = converter(value);
+		}
+		return row;
+	};
+};
+
+module.exports = {
+	VALUE_FORMAT_CHOICES,
+	resolveValueFormats,
+	createRowStandardizer,
+	offsetSelectList,
+	decodeHierarchyId
+};